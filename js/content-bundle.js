@@ -0,0 +1,19 @@
+/*
+    CONTENT-BUNDLE.JS - Generated by tools/build-content-bundle.js
+    Do not edit by hand: edit the files under projects/ and js/, then rebuild.
+*/
+
+App.loadBundle({
+    "js/updates.json": "{\n    \"hiddenProjects\": [],\n    \"hiddenBlogs\": [\n        \"finecraft\",\n        \"nisarga\",\n        \"ira\"\n    ],\n    \"reviews\": [\n        {\n            \"id\": \"rev_riyas\",\n            \"client\": \"Riyas A T\",\n            \"role\": \"Private Residence Owner\",\n            \"text\": \"Nexhaus provided the much needed confidence on building residence.\"\n        },\n        {\n            \"id\": \"rev_maheshwari\",\n            \"client\": \"Maheshwari\",\n            \"role\": \"Founder Maya by Maheshwari\",\n            \"text\": \"Nexhaus helped in PMC for one of our stores in Trivandrum. It was an easy turnaround for the store with them.\"\n        },\n        {\n            \"id\": \"rev_krishnakumar\",\n            \"client\": \"Krishnakumar\",\n            \"role\": \"Private Residence owner\",\n            \"text\": \"Was looking to overhaul the interior areas in my home. Nexhaus helped me in making it a reality.\"\n        }\n    ],\n    \"articles\": []\n}\n",
+    "js/auth.json": "{\n    \"provider\": \"hash\",\n    \"sessionMinutes\": 60,\n    \"maxAttempts\": 5,\n    \"lockoutMinutes\": 15,\n    \"endpoint\": null\n}\n",
+    "images/manifest.json": "{\n    \"images\": [\n        \"images/nexhaus_logo.png\",\n        \"images/nisarga_1.png\",\n        \"images/nisarga_2.jpg\",\n        \"images/nisarga_3.png\"\n    ],\n    \"images/aquaworld\": [\n        \"images/aquaworld/aw_01.jpg\",\n        \"images/aquaworld/aw_02.jpg\",\n        \"images/aquaworld/aw_03.jpg\",\n        \"images/aquaworld/aw_04.jpg\",\n        \"images/aquaworld/aw_05.jpg\"\n    ],\n    \"images/finecraft\": [\n        \"images/finecraft/fc_01.jpg\",\n        \"images/finecraft/fc_02.jpg\",\n        \"images/finecraft/fc_03.jpg\",\n        \"images/finecraft/fc_04.jpg\"\n    ],\n    \"images/ira\": [\n        \"images/ira/ira_01.jpg\",\n        \"images/ira/ira_02.jpg\",\n        \"images/ira/ira_03.jpg\",\n        \"images/ira/ira_04.jpg\",\n        \"images/ira/ira_05.jpg\"\n    ],\n    \"images/jengus\": [\n        \"images/jengus/Image1_004.png\"\n    ],\n    \"images/lacasablanca\": [\n        \"images/lacasablanca/lcb_01.jpg\",\n        \"images/lacasablanca/lcb_02.jpg\",\n        \"images/lacasablanca/lcb_03.jpg\",\n        \"images/lacasablanca/lcb_04.jpg\",\n        \"images/lacasablanca/lcb_05.jpg\"\n    ],\n    \"images/maya\": [\n        \"images/maya/maya_01.jpg\",\n        \"images/maya/maya_02.jpg\",\n        \"images/maya/maya_03.jpg\",\n        \"images/maya/maya_04.jpg\",\n        \"images/maya/maya_05.jpg\"\n    ],\n    \"images/nisarga\": [\n        \"images/nisarga/nisarga_01.png\",\n        \"images/nisarga/nisarga_02.png\",\n        \"images/nisarga/nisarga_03.jpg\"\n    ],\n    \"images/roof-top-cafe\": [\n        \"images/roof-top-cafe/roof_top_cafe_01.jpg\",\n        \"images/roof-top-cafe/roof_top_cafe_02.jpg\",\n        \"images/roof-top-cafe/roof_top_cafe_03.jpg\",\n        \"images/roof-top-cafe/roof_top_cafe_04.jpg\",\n        \"images/roof-top-cafe/roof_top_cafe_05.jpg\"\n    ],\n    \"images/ruhaan\": [\n        \"images/ruhaan/ruhaan_01.jpg\",\n        \"images/ruhaan/ruhaan_02.jpg\",\n        \"images/ruhaan/ruhaan_03.jpg\",\n        \"images/ruhaan/ruhaan_04.jpg\",\n        \"images/ruhaan/ruhaan_05.jpg\"\n    ]\n}\n",
+    "projects/index.json": "[\n    \"maya\",\n    \"lacasablanca\",\n    \"ruhaan\",\n    \"ira\",\n    \"nisarga\",\n    \"finecraft\",\n    \"aquaworld\",\n    \"rooftopcafe\"\n]\n",
+    "projects/maya.md": "---\nid: maya\ntitle: Maya by Maheswari\ncategory: Commercial\nimage: images/maya/maya_02.jpg\ndescription: A boutique situated in Panavila, Trivandrum.\ncity: Trivandrum\nstate: Kerala\nisEthosphere: true\ngallery:\n  - images/maya/maya_01.jpg\n  - images/maya/maya_02.jpg\n  - images/maya/maya_03.jpg\n  - images/maya/maya_04.jpg\n  - images/maya/maya_05.jpg\nisConceptual: false\nblog:\n  title: \"Māyah by Maheswari: The Art of Subtle Luxury\"\n  date: 2025-12-01\n  excerpt: A Minimalist Canvas for Handcrafted Beauty in Trivandrum\n  tags:\n    - interiors\n    - minimalism\n    - tradition\n---\n\nIn the bustling heart of Trivandrum, retail spaces often compete for attention with loud colors and cluttered displays. Māyah by Maheswari takes a different path. It is a breath of fresh air—a boutique designed with the quiet confidence of minimalism, where the architecture steps back to let the art speak.\n\nThe design language of Māyah is defined by restraint. We wanted to move away from the traditional, heavy wooden cabinetry often seen in jewelry stores. Instead, we embraced a lighter, more industrial aesthetic.\n\nThe key structural feature is the custom metal pipe display system. Bent into soft curves and finished in a muted gold, these pipes frame the white display boards, creating a \"floating\" effect. This adds a sense of rhythm and verticality to the space without blocking visual transparency.\n\nThe color palette was a deliberate and strategic choice: Cool Greys, Matte Whites, and Muted Gold.\n\nThe Grey Canvas: The walls and floors are finished in a textured, concrete-like grey. This neutral, monochromatic background is crucial. Since the boutique sells vibrant, multi-colored jewelry, a colorful interior would have created visual chaos. The grey absorbs the light and allows the intricate reds, greens, and golds of the jewelry to pop.\n\nWhite Focal Points: The jewelry itself is mounted on pristine white boards. This high-contrast technique draws the customer's eye immediately to the product, ensuring that every earring and necklace is seen in its true color.\n\nThe beauty of Māyah lies in its uncluttered layout.\n\nOpen Planning: The floor space is left largely open, avoiding the \"maze\" effect of typical retail shops. This invites customers to walk around freely and view collections from a distance.\n\nTextural Depth: While the colors are simple, the textures are rich. The hand-plastered finish of the walls contrasts beautifully with the smooth, industrial metal racks, adding a layer of tactile luxury to the space.\n\nMāyah by Maheswari is proof that in retail design, simplicity is the ultimate sophistication. It is a space designed not just to store products, but to curate an experience.\n",
+    "projects/lacasablanca.md": "---\nid: lacasablanca\ntitle: La Casa Blanca\ncategory: Residential\nimage: images/lacasablanca/lcb_01.jpg\ndescription: A neo-classical residence situated in Kollam.\ncity: Kollam\nstate: Kerala\ngallery:\n  - images/lacasablanca/lcb_01.jpg\n  - images/lacasablanca/lcb_02.jpg\n  - images/lacasablanca/lcb_03.jpg\n  - images/lacasablanca/lcb_04.jpg\n  - images/lacasablanca/lcb_05.jpg\nblog:\n  title: \"La Casa Blanca: Mediterranean Soul, Kerala Heart\"\n  date: 2025-11-15\n  excerpt: A Coastal Sanctuary in Kollam\n  tags:\n    - homes\n    - coastal\n    - tradition\n---\n\nIn the port city of Kollam, La Casa Blanca stands as a serene departure from conventional residential design. True to its name, this \"White House\" blends the airy, sun-drenched aesthetics of the Mediterranean with the structural wisdom of Kerala’s colonial and vernacular past.\n\nBecause cost was a primary driver, the design language focuses on geometry over demolition. We introduced the Arch as a central motif. By rounding off existing rectangular openings, we completely shifted the home’s character to a refined \"Coastal Minimalist\" aesthetic without the expense of major structural overhauls.\n\nDesign Details: Budget-Smart Elegance\nThe Power of White: A monochromatic white palette was used to mask structural imperfections, reflect the tropical heat, and create an expensive, airy feel at a low material cost.\n\nRefined Heritage: We opted to refinish rather than replace. The traditional wooden staircase balusters were retained and paired with a modern grey-and-white palette, bridging the gap between old and new.\n\nNatural Textures: To keep costs down while adding warmth, we used cane webbing and timber accents, bringing a tactile, artisanal quality to the minimalist interiors.\n\nCultural & Historical Significance\nKollam’s colonial maritime history is reflected in the home’s breezy, open feel.\n\nAdaptive Reuse: By choosing to renovate, we honored the home’s history while reducing the environmental impact of new construction.\n\nModern Vernacular: We retained the traditional sloping clay-tile roof—essential for Kerala’s monsoons—while modernizing the facade to meet a contemporary lifestyle.\n\nLa Casa Blanca is proof that great design isn't about the size of the budget, but the cleverness of the intervention.\n",
+    "projects/ruhaan.md": "---\nid: ruhaan\ntitle: Ruhaan\ncategory: Residential\nimage: images/ruhaan/ruhaan_02.jpg\ndescription: A tropical wonder situated in Thalassery, Kannur Kerala.\ncity: Thalassery\nstate: Kerala\nisEthosphere: true\ngallery:\n  - images/ruhaan/ruhaan_02.jpg\n  - images/ruhaan/ruhaan_03.jpg\n  - images/ruhaan/ruhaan_04.jpg\n  - images/ruhaan/ruhaan_05.jpg\nblog:\n  title: \"Ruhaan: An Ode to the Earth in Thalassery\"\n  date: 2025-10-20\n  excerpt: Where Modern Geometry Meets Malabar Tradition\n  tags:\n    - homes\n    - tradition\n    - facades\n    - sustainability\n---\n\nRuhaan speaks a language of \"Vernacular Modernity.\" While the silhouette is defined by bold, cubic forms and cantilevered slabs, its soul is deeply rooted in local tradition. We chose a palette that celebrates raw, honest materials, allowing the building to age gracefully alongside the surrounding tropical landscape.\n\nDesign Details & Materiality\nExposed Laterite (Vettu Kallu): The star of the project is the locally sourced laterite. By leaving the stone exposed, we honor the region's natural texture while utilizing its thermal mass to keep the interiors naturally cool.\n\nEarth & Timber: The warm reddish-brown of the masonry is complemented by rich wooden joinery and smooth earth-toned plaster, creating a seamless visual flow from the boundary wall to the facade.\n\nBiophilic Integration: Deep verandahs and balconies adorned with cascading greenery act as \"green lungs,\" softening the masonry and inviting the outdoors in.\n\nCultural Significance\nIn a town like Thalassery, history is everywhere. Ruhaan pays homage to this by:\n\nReimagining the Poomukham: The entrance sit-out serves as a modern version of the traditional Kerala porch—a space for social connection and shaded relaxation.\n\nClimate-Responsive Design: The use of decorative \"Jali\" ventilation and wide overhangs respects the ancient wisdom of Malabar architecture, designed to tackle heavy monsoons and humid summers.\n\nRuhaan stands as a testament to the fact that modern living can—and should—remain connected to its roots.\n",
+    "projects/ira.md": "---\nid: ira\ntitle: Ira\ncategory: Residential\nimage: images/ira/ira_05.jpg\ndescription: A tropical bliss situated in Irikur, Kannur.\ncity: Kannur\nstate: Kerala\ngallery:\n  - images/ira/ira_01.jpg\n  - images/ira/ira_02.jpg\n  - images/ira/ira_03.jpg\n  - images/ira/ira_04.jpg\n  - images/ira/ira_05.jpg\nblog:\n  title: \"Ira: Serenity in Design\"\n  date: 2025-09-05\n  excerpt: Creating a peaceful sanctuary amidst the chaos.\n  tags:\n    - homes\n---\n\nThis is the blog post content for Ira.\nYou can write multiple lines here.\n",
+    "projects/nisarga.md": "---\nid: nisarga\ntitle: Nisarga\ncategory: Residential\nimage: images/nisarga/nisarga_01.png\ndescription: Residence rooted in Indian theme in Sydney, Australia.\ncity: Sydney\nstate: New South Wales\ngallery:\n  - images/nisarga/nisarga_01.png\n  - images/nisarga/nisarga_02.png\n  - images/nisarga/nisarga_03.jpg\nblog:\n  title: \"Nisarga: Indian Roots, Global Context\"\n  date: 2025-08-12\n  excerpt: Bringing traditional Indian architecture to the Australian landscape.\n  tags:\n    - homes\n    - tradition\n---\n\nThis is the blog post content for Nisarga.\nYou can write multiple lines here.\n",
+    "projects/finecraft.md": "---\nid: finecraft\ntitle: Finecraft Automobiles\ncategory: Industrial\nimage: images/finecraft/fc_01.jpg\ndescription: An automobile service centre in the outskirts of Palakkad, Kerala.\ncity: Palakkad\nstate: Kerala\nisConceptual: false\ngallery:\n  - images/finecraft/fc_01.jpg\n  - images/finecraft/fc_02.jpg\n  - images/finecraft/fc_03.jpg\n  - images/finecraft/fc_04.jpg\nblog:\n  title: \"Finecraft: Industrial Elegance\"\n  date: 2025-07-30\n  excerpt: Redefining the look of industrial workspaces.\n  tags:\n    - industrial\n---\n\nThis is the blog post content for Finecraft.\nYou can write multiple lines here.\n",
+    "projects/aquaworld.md": "---\nid: aquaworld\ntitle: Aquaworld\ncategory: Industrial\nimage: images/aquaworld/aw_01.jpg\ndescription: A seafood exports company based in Ernavur, Chennai.\ncity: Chennai\nstate: Tamil Nadu\nisEthosphere: true\ngallery:\n  - images/aquaworld/aw_01.jpg\n  - images/aquaworld/aw_02.jpg\n  - images/aquaworld/aw_03.jpg\n  - images/aquaworld/aw_04.jpg\n  - images/aquaworld/aw_05.jpg\nblog:\n  title: \"Fluidity in Concrete: Redefining Industrial Architecture at Aquaworld, Chennai\"\n  date: 2025-06-15\n  excerpt: Aquaworld Seafood Exports Factory & HQ\n  tags:\n    - industrial\n    - facades\n---\n\nIn the industrial belt of Ernavur, where function usually overrides form, the new Aquaworld facility stands as a bold exception. We wanted to challenge the stereotype of the \"boring factory box\" and instead create a corporate landmark that embodies the spirit of the brand.\n\nThe core concept is simple yet powerful: bringing the ocean to the architecture.\n\nWe moved away from rigid industrial lines to embrace a language of fluidity. The facade is defined by rhythmic, curvilinear white fins that wrap around the building. These aren't just decorative; they mimic the rolling waves of the sea, creating a direct visual link to the company’s seafood heritage.\n\n**The Wave Tower:** The vertical block acts as the anchor. The white \"wave\" bands create deep shadows over dark recessed windows, creating a dynamic high-contrast look that changes with the sun's position.\n\n**The Floating Glass Cube:** To break the heavy mass of concrete, we introduced a cantilevered glass volume. This transparent block houses the main office areas, symbolizing openness in business and adding a modern, lightweight touch to the facade.\n\n**The Roof Crown:** The design is topped with a sleek pergola and cascading bougainvillea, softening the hard edges and providing a green respite on the terrace.\n\nAquaworld is more than a processing plant; it is a piece of sculpture in an industrial landscape. By blending the solidity of concrete with the fluidity of ocean waves, we’ve created a headquarters that is as dynamic as the business it houses.\n",
+    "projects/rooftopcafe.md": "---\nid: rooftopcafe\ntitle: Roof Top Cafe\ncategory: Commercial\nimage: images/roof-top-cafe/roof_top_cafe_01.jpg\ndescription: A vibrant roof top cafe in Ernakulam, Kerala, blending modern aesthetics with lush greenery and open-air ambiance.\ncity: Ernakulam\nstate: Kerala\ngallery:\n  - images/roof-top-cafe/roof_top_cafe_01.jpg\n  - images/roof-top-cafe/roof_top_cafe_02.jpg\n  - images/roof-top-cafe/roof_top_cafe_03.jpg\n  - images/roof-top-cafe/roof_top_cafe_04.jpg\n  - images/roof-top-cafe/roof_top_cafe_05.jpg\n---\n\n\n"
+});
@@ -7,22 +7,35 @@ const App = (function () {
 
     // --- STORE (Data Persistence) ---
     const DB_KEYS = {
-        AUTH: 'nexhaus_auth',
+        AUTH: 'nexhaus_auth', // Session { token, expiresAt }
+        AUTH_ATTEMPTS: 'nexhaus_auth_attempts', // Failed logins { count, lockedUntil }
         HIDDEN_PROJECTS: 'nexhaus_hidden_projects',
         HIDDEN_BLOGS: 'nexhaus_hidden_blogs',
         CUSTOM_REVIEWS: 'nexhaus_custom_reviews',
         CUSTOM_ARTICLES: 'nexhaus_custom_articles', // NEW
-        UPDATES_EXPORT: 'nexhaus_updates_export'
+        PROJECT_DRAFT: 'nexhaus_project_draft', // Unsaved admin project editor form
+        HISTORY: 'nexhaus_history', // Change journal [{ id, at, label, before }]
+        UPDATES_EXPORT: 'nexhaus_updates_export',
+        FEATURED_INSIGHT: 'nexhaus_featured_insight', // Home page featured insight { mode, postId }
+        LANGUAGE: 'nexhaus_language' // Visitor's chosen site language
     };
 
     // In-Memory Storage
     let loadedProjects = [];
     let loadedBlogPosts = [];
+    let projectManifest = []; // Project ids in projects/index.json, in order
     let hiddenProjectIds = [];
     let hiddenBlogIds = [];
     let loadedArticles = []; // NEW: Standalone articles
     let customReviews = []; // NEW
     let customArticles = []; // NEW (Persistent)
+    let projectDraft = null; // { editingId, values } from the admin project editor
+    let changeHistory = []; // Journal of admin changes, oldest first (see recordChange)
+    let featuredInsight = null; // How the home page picks its featured insight; set by Store.init
+    let publishedUpdates = null; // js/updates.json as loaded, for comparing with local admin changes
+    let contentReady = null; // Promise for the first content load (see Store.ready)
+    let assetManifest = null; // { "images/ira": [image paths] }, null if images/manifest.json didn't load
+    let responsiveImages = {}; // { src: { width, height, widths, placeholder } } for images with generated sizes
 
     const DEFAULT_REVIEWS = [
         {
@@ -45,6 +58,1409 @@ const App = (function () {
         }
     ];
 
+    // --- CONTENT FILES (Front Matter Markdown / JSON) ---
+    // Projects live in projects/<id>.md, listed in order by projects/index.json.
+    // Published admin state (visibility, reviews, articles) lives in js/updates.json.
+    const CONTENT_PATHS = {
+        PROJECT_MANIFEST: 'projects/index.json',
+        UPDATES: 'js/updates.json',
+        AUTH_CONFIG: 'js/auth.json', // Written by tools/set-admin-password.js
+        ASSET_MANIFEST: 'images/manifest.json', // Written by tools/build-asset-manifest.js
+        RESPONSIVE_IMAGES: 'images/responsive.json', // Written by tools/build-images.js (optional)
+        BUNDLE: 'js/content-bundle.js' // Generated by tools/build-content-bundle.js for file:// use
+    };
+
+    const PROJECT_CATEGORIES = ['Residential', 'Commercial', 'Industrial', 'Hospitality', 'Education', 'Healthcare', 'Public'];
+    const PROJECT_STATUSES = ['Completed', 'Under Construction', 'Concept'];
+    // Articles and project stories; one without a status is published (see publishState)
+    const POST_STATUSES = ['draft', 'scheduled', 'published'];
+    // publishAt times are India time for every visitor and for the build alike. The admin stores them
+    // with this offset; one written without an offset is read in it too (India has no daylight saving)
+    const PUBLISH_TIME_ZONE = 'Asia/Kolkata';
+    const PUBLISH_UTC_OFFSET = '+05:30';
+    // How the home page picks its featured insight; pinned also names the post
+    const FEATURED_MODES = ['pinned', 'latest', 'random'];
+    const DEFAULT_FEATURED_INSIGHT = { mode: 'random' };
+
+    // Site languages (code -> name in that language). English is the original text; the others are optional
+    const LANGUAGES = { en: 'English', ml: 'മലയാളം', ta: 'தமிழ்', kn: 'ಕನ್ನಡ' };
+    const DEFAULT_LANGUAGE = 'en';
+
+    // "translations: { ml: { title: ... } }" with the given fields allowed for each non-English language.
+    // YAML here has no multi-line blocks, so translated Markdown is a "quoted" string with \n line breaks
+    function translationsRule(fields) {
+        const languages = Object.keys(LANGUAGES).filter(lang => lang !== DEFAULT_LANGUAGE);
+        return { type: 'object', fields: Object.fromEntries(languages.map(lang => [lang, { type: 'object', fields }])) };
+    }
+
+    // A gallery entry is an image path, or an object when the image needs more than that
+    const GALLERY_ENTRY_SCHEMA = {
+        src: { type: 'string', required: true, format: 'image' },
+        alt: { type: 'string' },
+        caption: { type: 'string' },
+        credit: { type: 'string' }, // Photographer
+        focus: { type: 'string', format: 'focus' }, // Focal point kept in view when the image is cropped
+        cover: { type: 'boolean' } // Use as the project's cover image (sets image)
+    };
+
+    const PROJECT_SCHEMA = {
+        id: { type: 'string', required: true, format: 'id' },
+        title: { type: 'string', required: true },
+        category: { type: 'string', required: true, oneOf: PROJECT_CATEGORIES },
+        image: { type: 'string', required: true, format: 'image' },
+        description: { type: 'string', required: true },
+        city: { type: 'string' },
+        state: { type: 'string' }, // State or region, used by the location filter on projects.html
+        year: { type: 'number', format: 'year' }, // Completion year (or expected completion)
+        area: { type: 'number', format: 'positive' }, // Built-up area in sq ft
+        status: { type: 'string', oneOf: PROJECT_STATUSES },
+        services: { type: 'array', items: { type: 'string' } }, // Scope of services, e.g. Architecture, Interiors
+        collaborators: { type: 'array', items: { type: 'string' } }, // e.g. "Structural: R. Menon & Associates"
+        isEthosphere: { type: 'boolean' },
+        isConceptual: { type: 'boolean' },
+        gallery: { type: 'array', items: { anyOf: [{ type: 'string', format: 'image' }, { type: 'object', fields: GALLERY_ENTRY_SCHEMA }] } },
+        blog: {
+            type: 'object',
+            fields: {
+                title: { type: 'string' },
+                date: { type: 'string', format: 'date' },
+                excerpt: { type: 'string' },
+                content: { type: 'string', required: true },
+                status: { type: 'string', oneOf: POST_STATUSES },
+                publishAt: { type: 'string', format: 'datetime' }, // Goes live at this time, e.g. 2026-11-02T09:00+05:30
+                tags: { type: 'array', items: { type: 'string', format: 'tag' } } // e.g. sustainability, blog.html?tag=sustainability
+            }
+        },
+        // city and state stay English: they are filter values. So do category and status (see valueLabel)
+        translations: translationsRule({
+            title: { type: 'string' },
+            description: { type: 'string' },
+            blog: { type: 'object', fields: { title: { type: 'string' }, excerpt: { type: 'string' }, content: { type: 'string' } } }
+        })
+    };
+
+    const ARTICLE_SCHEMA = {
+        id: { type: 'string', required: true, format: 'id' },
+        projectId: { type: 'string', nullable: true },
+        title: { type: 'string', required: true },
+        date: { type: 'string', required: true, format: 'date' },
+        image: { type: 'string', format: 'image' },
+        excerpt: { type: 'string' },
+        content: { type: 'string', required: true },
+        updatedAt: { type: 'string' },
+        status: { type: 'string', oneOf: POST_STATUSES },
+        publishAt: { type: 'string', format: 'datetime' },
+        tags: { type: 'array', items: { type: 'string', format: 'tag' } },
+        translations: translationsRule({ title: { type: 'string' }, excerpt: { type: 'string' }, content: { type: 'string' } })
+    };
+
+    // Each check returns an error message, or null when the value is fine
+    const FORMAT_CHECKS = {
+        id: value => /^[a-z0-9_-]+$/.test(value) ? null : 'must only use lowercase letters, digits, "-" and "_"',
+        date: value => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'must be a date like 2025-09-05';
+            const date = new Date(value + 'T00:00:00Z');
+            return !isNaN(date) && date.toISOString().startsWith(value) ? null : 'is not a real calendar date';
+        },
+        datetime: value => {
+            const match = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?)?$/.exec(value);
+            if (!match) return 'must be a date like 2025-09-05, or a date and time like 2025-09-05T09:00+05:30';
+            return FORMAT_CHECKS.date(match[1]) || (isNaN(publishTime(value)) ? 'is not a real time of day' : null);
+        },
+        tag: value => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value) ? null : 'must be lowercase words joined by "-", like passive-cooling',
+        year: value => Number.isInteger(value) && value >= 1900 && value <= 2100 ? null : 'must be a four-digit year like 2024',
+        positive: value => value > 0 ? null : 'must be greater than zero',
+        focus: value => /^\d{1,3}% \d{1,3}%$/.test(value) ? null : 'must be a position like "50% 30%" (left, top)',
+        image: value => {
+            if (/^https?:\/\/\S+$/.test(value)) return null;
+            if (/^(\.{1,2}\/|\/)/.test(value) || /\s/.test(value)) return 'must be a relative path like images/ira/ira_01.jpg, without spaces';
+            return /^[\w\-./]+\.(jpe?g|png|webp|avif|gif|svg)$/i.test(value) ? null : 'must point to a .jpg, .png, .webp, .avif, .gif or .svg file';
+        }
+    };
+
+    // Returns a list of { field, message, severity } problems; 'error' problems make the entry unusable,
+    // 'warning' problems are reported but the entry is still loaded
+    function validateFields(data, schema, prefix = '') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return [{ field: prefix || '(root)', message: 'must be an object', severity: 'error' }];
+        }
+
+        const issues = [];
+        const error = (field, message) => issues.push({ field, message, severity: 'error' });
+
+        Object.keys(data).forEach(key => {
+            if (!schema[key]) issues.push({ field: prefix + key, message: 'is not a known field (misspelled?)', severity: 'warning' });
+        });
+
+        const checkValue = (field, value, rule) => {
+            if (typeof value !== rule.type) return error(field, `must be a ${rule.type}`);
+            if (rule.oneOf && !rule.oneOf.includes(value)) return error(field, `must be one of: ${rule.oneOf.join(', ')}`);
+            const problem = rule.format && FORMAT_CHECKS[rule.format](value);
+            if (problem) error(field, problem);
+        };
+
+        Object.entries(schema).forEach(([key, rule]) => {
+            const field = prefix + key;
+            const value = data[key];
+
+            if (value === undefined || value === null || value === '') {
+                if (value === null && rule.nullable) return;
+                if (rule.required) error(field, 'is required');
+                return;
+            }
+
+            if (rule.type === 'array') {
+                if (!Array.isArray(value)) return error(field, 'must be a list');
+                value.forEach((item, i) => {
+                    // anyOf: the first alternative of the item's type (a string or an object, say)
+                    const type = Array.isArray(item) ? 'array' : typeof item;
+                    const itemRule = rule.items.anyOf ? rule.items.anyOf.find(r => r.type === type) : rule.items;
+                    if (!itemRule) return error(`${field}[${i}]`, `must be a ${rule.items.anyOf.map(r => r.type).join(' or ')}`);
+                    if (itemRule.type === 'object' && item) issues.push(...validateFields(item, itemRule.fields, `${field}[${i}].`));
+                    else checkValue(`${field}[${i}]`, item, itemRule);
+                });
+            } else if (rule.type === 'object') {
+                issues.push(...validateFields(value, rule.fields, field + '.'));
+            } else {
+                checkValue(field, value, rule);
+            }
+        });
+        return issues;
+    }
+
+    // Splits a "---" front matter block from the Markdown body that follows it
+    function parseFrontMatter(text) {
+        const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n([\s\S]*))?$/);
+        if (!match) throw new Error('file must start with a "---" front matter block');
+        return { data: parseYaml(match[1]), body: (match[2] || '').trim() };
+    }
+
+    // Minimal YAML subset: nested maps, lists (of scalars or maps), quoted and plain scalars.
+    function parseYaml(text) {
+        const lines = [];
+        text.split('\n').forEach((raw, index) => {
+            if (!raw.trim() || raw.trim().startsWith('#')) return;
+            if (/^\s*\t/.test(raw)) throw new Error(`line ${index + 2}: use spaces, not tabs, for indentation`);
+            lines.push({ indent: raw.search(/\S/), text: raw.trim(), lineNo: index + 2 });
+        });
+
+        let pos = 0;
+
+        const parseScalar = (value, lineNo) => {
+            if (value.startsWith('"')) {
+                try { return JSON.parse(value); } catch (e) { throw new Error(`line ${lineNo}: unterminated or invalid "quoted" text`); }
+            }
+            if (value.startsWith("'")) {
+                if (!/^'(?:[^']|'')*'$/.test(value)) throw new Error(`line ${lineNo}: unterminated 'quoted' text`);
+                return value.slice(1, -1).replace(/''/g, "'");
+            }
+            if (value === '[]') return [];
+            if (value === '{}') return {};
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            if (value === 'null' || value === '~') return null;
+            if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+            return value;
+        };
+
+        const parseEntry = (line, indent) => {
+            const match = line.text.match(/^([A-Za-z0-9_-]+):(?:\s+(.*))?$/);
+            if (!match) throw new Error(`line ${line.lineNo}: expected "key: value"`);
+            const [, key, value] = match;
+            if (value !== undefined) return [key, parseScalar(value, line.lineNo)];
+
+            const next = lines[pos];
+            if (next && (next.indent > indent || (next.indent === indent && next.text.startsWith('-')))) {
+                return [key, parseBlock(next.indent)];
+            }
+            return [key, null];
+        };
+
+        const parseBlock = (indent) => {
+            const isList = lines[pos].text === '-' || lines[pos].text.startsWith('- ');
+            const result = isList ? [] : {};
+
+            while (pos < lines.length && lines[pos].indent >= indent) {
+                const line = lines[pos];
+                if (line.indent > indent) throw new Error(`line ${line.lineNo}: unexpected indentation`);
+
+                if (isList) {
+                    if (line.text !== '-' && !line.text.startsWith('- ')) break;
+                    const rest = line.text.slice(1).trim();
+                    if (!rest) {
+                        pos++;
+                        result.push(pos < lines.length && lines[pos].indent > indent ? parseBlock(lines[pos].indent) : null);
+                    } else if (/^[A-Za-z0-9_-]+:(\s|$)/.test(rest)) {
+                        // "- key: value" starts a map; its other keys sit at the same column as "key"
+                        const itemIndent = indent + line.text.indexOf(rest);
+                        lines[pos] = { indent: itemIndent, text: rest, lineNo: line.lineNo };
+                        result.push(parseBlock(itemIndent));
+                    } else {
+                        pos++;
+                        result.push(parseScalar(rest, line.lineNo));
+                    }
+                } else {
+                    if (line.text.startsWith('-')) throw new Error(`line ${line.lineNo}: unexpected list item`);
+                    pos++;
+                    const [key, value] = parseEntry(line, indent);
+                    if (key in result) throw new Error(`line ${line.lineNo}: "${key}" is defined twice`);
+                    result[key] = value;
+                }
+            }
+            return result;
+        };
+
+        if (lines.length === 0) return {};
+        const data = parseBlock(lines[0].indent);
+        if (pos < lines.length) throw new Error(`line ${lines[pos].lineNo}: unexpected indentation`);
+        return data;
+    }
+
+    // Inverse of parseYaml; strings that could be misread are written as "quoted" JSON strings
+    function toYaml(data, indent = '') {
+        const scalar = (value) => {
+            if (typeof value !== 'string') return String(value);
+            const plain = /^[A-Za-z0-9\/(][^\n:#"']*$/.test(value) && value === value.trim()
+                && !/^(true|false|null|~|-?\d+(\.\d+)?)$/.test(value);
+            return plain ? value : JSON.stringify(value);
+        };
+
+        return Object.entries(data)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => {
+                if (Array.isArray(value)) {
+                    if (value.length === 0) return `${indent}${key}: []\n`;
+                    return `${indent}${key}:\n` + value.map(item => {
+                        if (item && typeof item === 'object') {
+                            return `${indent}  - ` + toYaml(item, indent + '    ').trimStart();
+                        }
+                        return `${indent}  - ${scalar(item)}\n`;
+                    }).join('');
+                }
+                if (value && typeof value === 'object') {
+                    return `${indent}${key}:\n` + toYaml(value, indent + '  ');
+                }
+                return `${indent}${key}: ${scalar(value)}\n`;
+            }).join('');
+    }
+
+    // projects/<id>.md: project fields in the front matter, the project story as the body
+    function parseProjectFile(text) {
+        const { data, body } = parseFrontMatter(text);
+        if (body) data.blog = { ...(data.blog || {}), content: body };
+        return data;
+    }
+
+    // A gallery entry flagged as cover becomes the project's cover image
+    function withGalleryCover(project) {
+        const gallery = project && Array.isArray(project.gallery) ? project.gallery : [];
+        const cover = gallery.find(entry => entry && typeof entry === 'object' && entry.cover);
+        return cover && cover.src ? { ...project, image: cover.src } : project;
+    }
+
+    // Images in the same folder as path (but not images/ itself), from the asset manifest
+    function folderImages(path) {
+        const folder = path.slice(0, path.lastIndexOf('/'));
+        return (assetManifest && folder !== 'images' && assetManifest[folder]) || [];
+    }
+
+    // Warnings for a project's images, checked against the asset manifest
+    function projectAssetIssues(project) {
+        if (!assetManifest) return [];
+        const issues = [];
+        const warn = (field, message) => issues.push({ field, message, severity: 'warning' });
+        const exists = (src) => /^https?:/.test(src) || Object.values(assetManifest).some(files => files.includes(src));
+
+        if (!exists(project.image)) warn('image', `${project.image} was not found in ${CONTENT_PATHS.ASSET_MANIFEST}`);
+        (project.gallery || []).forEach((entry, i) => {
+            const src = typeof entry === 'string' ? entry : entry.src;
+            if (!exists(src)) warn(`gallery[${i}]`, `${src} was not found in ${CONTENT_PATHS.ASSET_MANIFEST}`);
+        });
+
+        if (!project.gallery || project.gallery.length === 0) {
+            const found = folderImages(project.image).length;
+            warn('gallery', found
+                ? `is empty; showing the ${found} images in the cover image's folder`
+                : 'is empty and the cover image\'s folder has no other images; only the cover is shown');
+        }
+        return issues;
+    }
+
+    function serializeProjectFile(project) {
+        const { blog, ...fields } = project;
+        const front = { ...fields };
+        let body = '';
+        if (blog) {
+            const { content, ...blogFields } = blog;
+            front.blog = blogFields;
+            body = content || '';
+        }
+        return `---\n${toYaml(front)}---\n\n${body.trim()}\n`;
+    }
+
+    // A projects/<id>.md file as Store.loadProject reads it: the project, and the errors that would
+    // keep it from loading. tools/server.js checks files with this before it saves them
+    function checkProjectFile(text) {
+        let project;
+        try {
+            project = withGalleryCover(parseProjectFile(text));
+        } catch (e) {
+            return { project: null, errors: [e.message] };
+        }
+        const errors = validateFields(project, PROJECT_SCHEMA)
+            .filter(issue => issue.severity === 'error')
+            .map(issue => `"${issue.field}" ${issue.message}`);
+        return { project, errors };
+    }
+
+    // Content is fetched over http(s); opened from disk, it comes from the generated bundle instead
+    let contentBundle = null;
+
+    function readContentFile(path) {
+        if (contentBundle) {
+            return path in contentBundle
+                ? Promise.resolve(contentBundle[path])
+                : Promise.reject(new Error(`${path} is missing from ${CONTENT_PATHS.BUNDLE} (run tools/build-content-bundle.js)`));
+        }
+        return fetch(path).then(res => {
+            if (!res.ok) throw new Error(`${path}: HTTP ${res.status}`);
+            return res.text();
+        });
+    }
+
+    function readJsonFile(path) {
+        return readContentFile(path).then(text => {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new Error(`${path}: invalid JSON (${e.message})`);
+            }
+        });
+    }
+
+    // Content problems found while loading, shown in the admin "Content Health" panel
+    const contentIssues = [];
+    const quarantinedContent = [];
+
+    function recordContentIssues(source, issues) {
+        issues.forEach(issue => {
+            contentIssues.push({ source, ...issue });
+            const log = issue.severity === 'warning' ? console.warn : console.error;
+            log(`${source}: "${issue.field}" ${issue.message}`);
+        });
+    }
+
+    // Records the problems and, if any of them is an error, sets the entry aside instead of loading it
+    function checkContent(kind, source, data, schema) {
+        const issues = validateFields(data, schema);
+        recordContentIssues(source, issues);
+        if (!issues.some(issue => issue.severity === 'error')) return true;
+
+        quarantinedContent.push({ kind, source, data });
+        return false;
+    }
+
+    // --- TEMPLATES (Escaping) ---
+    // Renderers build markup with the html`` tag. Every interpolated value is escaped, unless it is
+    // markup already: the result of another html`` or of rawHtml() (only for HTML we generate
+    // ourselves, such as rendered Markdown). Arrays are joined; null, undefined and false render nothing.
+
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    class SafeHtml {
+        constructor(value) { this.value = value; }
+        toString() { return this.value; }
+    }
+
+    function rawHtml(value) {
+        return new SafeHtml(String(value));
+    }
+
+    function htmlValue(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(htmlValue).join('');
+        return escapeHtml(value);
+    }
+
+    function html(strings, ...values) {
+        return new SafeHtml(strings.reduce((out, str, i) => out + htmlValue(values[i - 1]) + str));
+    }
+
+    // A CSS url() for a content path. Inside a style attribute, html`` escapes the result as usual
+    function cssUrl(path) {
+        return `url("${String(path).replace(/["\\\n]/g, c => (c === '\n' ? '\\A ' : `\\${c}`))}")`;
+    }
+
+    // --- I18N (Interface Languages) ---
+    // Interface text by key. English is the source: every key is in UI_STRINGS.en, and a key missing
+    // from another language shows the English text. Project and article text is translated in the
+    // content files themselves (a "translations" field, see localized()). Values in {braces} are
+    // filled in by t().
+    const UI_STRINGS = {
+        en: {
+            'nav.home': 'HOME',
+            'nav.projects': 'PROJECTS',
+            'nav.ethosphere': 'ETHOSPHERE',
+            'nav.about': 'ABOUT',
+            'nav.contact': 'CONTACT',
+            'nav.logout': 'LOGOUT',
+            'nav.menu': 'Toggle Navigation',
+            'nav.language': 'Language',
+            'search.placeholder': 'Search',
+            'search.label': 'Search projects and articles',
+            'search.empty': 'No matches for "{query}".',
+            'search.hidden': '(hidden)',
+            'kind.project': 'Project',
+            'kind.story': 'Project Story',
+            'kind.article': 'Article',
+            'footer.rights': 'All rights reserved.',
+            'footer.blog': 'Blog',
+            'footer.faq': 'FAQ',
+            'footer.admin': 'Admin',
+            'footer.services': 'Premier architectural services for School, College, Commercial, Public buildings, Residence, Hospitality, and Hospitals.',
+            'footer.region': 'Serving clients across Kerala, Tamil Nadu, and Karnataka.',
+            'common.close': 'Close',
+            'lightbox.label': 'Image viewer',
+            'lightbox.prev': 'Previous image',
+            'lightbox.next': 'Next image',
+            'gallery.alt': '{title}, image {n} of {count}',
+            'gallery.credit': 'Photo: {credit}',
+            'gallery.storyAlt': 'Visual for {title}',
+            'expander.viewPage': 'View Project Page',
+            'expander.readStory': 'Read Project Story',
+            'spec.category': 'Category',
+            'spec.location': 'Location',
+            'spec.year': 'Year',
+            'spec.status': 'Status',
+            'spec.area': 'Built-up Area',
+            'spec.areaValue': '{area} sq ft',
+            'spec.services': 'Services',
+            'spec.collaborators': 'Collaborators',
+            'spec.collection': 'Collection',
+            'collection.ethosphere': 'Ethosphere',
+            'collection.conceptual': 'Conceptual',
+            'filters.all': 'All',
+            'filters.category': 'All categories',
+            'filters.state': 'All locations',
+            'filters.year': 'All years',
+            'filters.status': 'Any status',
+            'filters.sort': 'Sort projects',
+            'filters.showing': 'Showing {shown} of {total} projects',
+            'filters.clear': 'Clear filters',
+            'filters.empty': 'No projects match these filters.',
+            'sort.featured': 'Featured',
+            'sort.newest': 'Newest first',
+            'sort.oldest': 'Oldest first',
+            'sort.title': 'Title A–Z',
+            'projectPage.back': 'All Projects',
+            'projectPage.hidden': 'This project is hidden from the public site.',
+            'projectPage.related': 'Related Projects',
+            'projectPage.notFoundTitle': 'Project Not Found',
+            'projectPage.notFound': 'Project not found',
+            'projectPage.notFoundText': 'There is no published project at this link.',
+            'projectPage.seeAll': 'See all projects',
+            'blog.heading': 'Insights',
+            'blog.readEntry': 'Read Entry',
+            'blog.featured': 'Featured Insight',
+            'blog.readFull': 'Read Full Article',
+            'blog.related': 'Related Reading',
+            'blog.tags': 'Tags',
+            'blog.tagged': 'Tagged “{tag}”',
+            'blog.allPosts': 'All posts',
+            'blog.noTagged': 'No posts are tagged “{tag}” yet.',
+            'publish.draft': 'Draft',
+            'publish.scheduled': 'Scheduled for {date}',
+            'ethosphere.heading': 'The Collection',
+            'ethosphere.premium': 'Premium Collection',
+            'ethosphere.empty': 'No Ethosphere projects currently released.',
+            'home.tagline': 'Architecture & Design',
+            'home.viewProjects': 'View Projects',
+            'home.reviews': 'What our clients say',
+            'home.contact': 'Get in Touch',
+            'contact.name': 'Name',
+            'contact.email': 'Email',
+            'contact.message': 'Message',
+            'contact.send': 'Send Message',
+            'contact.general': 'General Enquiry',
+            'contact.newProject': 'New Project',
+            'contact.press': 'Press',
+            'contact.sent': 'Thank you! Your message has been sent.',
+            'contact.failed': 'Oops! There was a problem sending your message.',
+            'projects.heading': 'Selected Works',
+            'about.heading': 'About Us',
+            'faq.heading': 'Frequently Asked Questions'
+        },
+        ml: {
+            'nav.home': 'ഹോം',
+            'nav.projects': 'പ്രോജക്റ്റുകൾ',
+            'nav.ethosphere': 'എത്തോസ്ഫിയർ',
+            'nav.about': 'ഞങ്ങളെക്കുറിച്ച്',
+            'nav.contact': 'ബന്ധപ്പെടുക',
+            'nav.logout': 'ലോഗൗട്ട്',
+            'nav.menu': 'മെനു തുറക്കുക / അടയ്ക്കുക',
+            'nav.language': 'ഭാഷ',
+            'search.placeholder': 'തിരയുക',
+            'search.label': 'പ്രോജക്റ്റുകളും ലേഖനങ്ങളും തിരയുക',
+            'search.empty': '"{query}" എന്നതിന് ഫലങ്ങളൊന്നുമില്ല.',
+            'search.hidden': '(മറച്ചത്)',
+            'kind.project': 'പ്രോജക്റ്റ്',
+            'kind.story': 'പ്രോജക്റ്റ് കഥ',
+            'kind.article': 'ലേഖനം',
+            'footer.rights': 'എല്ലാ അവകാശങ്ങളും നിക്ഷിപ്തം.',
+            'footer.blog': 'ബ്ലോഗ്',
+            'footer.faq': 'പതിവ് ചോദ്യങ്ങൾ',
+            'footer.admin': 'അഡ്മിൻ',
+            'footer.services': 'സ്കൂളുകൾ, കോളേജുകൾ, വാണിജ്യ കെട്ടിടങ്ങൾ, പൊതു കെട്ടിടങ്ങൾ, വീടുകൾ, ഹോസ്പിറ്റാലിറ്റി, ആശുപത്രികൾ എന്നിവയ്ക്കായി മികച്ച വാസ്തുവിദ്യാ സേവനങ്ങൾ.',
+            'footer.region': 'കേരളം, തമിഴ്നാട്, കർണാടക എന്നിവിടങ്ങളിലെ ക്ലയന്റുകൾക്ക് സേവനം നൽകുന്നു.',
+            'common.close': 'അടയ്ക്കുക',
+            'lightbox.label': 'ചിത്ര ദർശിനി',
+            'lightbox.prev': 'മുമ്പത്തെ ചിത്രം',
+            'lightbox.next': 'അടുത്ത ചിത്രം',
+            'gallery.alt': '{title}, {count} ചിത്രങ്ങളിൽ {n}-ാമത്തേത്',
+            'gallery.credit': 'ഫോട്ടോ: {credit}',
+            'gallery.storyAlt': '{title} - ചിത്രം',
+            'expander.viewPage': 'പ്രോജക്റ്റ് പേജ് കാണുക',
+            'expander.readStory': 'പ്രോജക്റ്റ് കഥ വായിക്കുക',
+            'spec.category': 'വിഭാഗം',
+            'spec.location': 'സ്ഥലം',
+            'spec.year': 'വർഷം',
+            'spec.status': 'നില',
+            'spec.area': 'നിർമ്മിത വിസ്തീർണ്ണം',
+            'spec.areaValue': '{area} ചതുരശ്ര അടി',
+            'spec.services': 'സേവനങ്ങൾ',
+            'spec.collaborators': 'സഹകാരികൾ',
+            'spec.collection': 'ശേഖരം',
+            'collection.ethosphere': 'എത്തോസ്ഫിയർ',
+            'collection.conceptual': 'ആശയപരം',
+            'category.Residential': 'വാസസ്ഥലം',
+            'category.Commercial': 'വാണിജ്യം',
+            'category.Industrial': 'വ്യാവസായികം',
+            'category.Hospitality': 'ഹോസ്പിറ്റാലിറ്റി',
+            'category.Education': 'വിദ്യാഭ്യാസം',
+            'category.Healthcare': 'ആരോഗ്യപരിപാലനം',
+            'category.Public': 'പൊതു',
+            'status.Completed': 'പൂർത്തിയായി',
+            'status.Under Construction': 'നിർമ്മാണത്തിൽ',
+            'status.Concept': 'ആശയം',
+            'filters.all': 'എല്ലാം',
+            'filters.category': 'എല്ലാ വിഭാഗങ്ങളും',
+            'filters.state': 'എല്ലാ സ്ഥലങ്ങളും',
+            'filters.year': 'എല്ലാ വർഷങ്ങളും',
+            'filters.status': 'ഏത് നിലയും',
+            'filters.sort': 'പ്രോജക്റ്റുകൾ ക്രമീകരിക്കുക',
+            'filters.showing': '{total} പ്രോജക്റ്റുകളിൽ {shown} എണ്ണം കാണിക്കുന്നു',
+            'filters.clear': 'ഫിൽട്ടറുകൾ മായ്ക്കുക',
+            'filters.empty': 'ഈ ഫിൽട്ടറുകൾക്ക് യോജിക്കുന്ന പ്രോജക്റ്റുകളൊന്നുമില്ല.',
+            'sort.featured': 'തിരഞ്ഞെടുത്തവ',
+            'sort.newest': 'പുതിയവ ആദ്യം',
+            'sort.oldest': 'പഴയവ ആദ്യം',
+            'sort.title': 'പേര് (A–Z)',
+            'projectPage.back': 'എല്ലാ പ്രോജക്റ്റുകളും',
+            'projectPage.hidden': 'ഈ പ്രോജക്റ്റ് പൊതു സൈറ്റിൽ നിന്ന് മറച്ചിരിക്കുന്നു.',
+            'projectPage.related': 'ബന്ധപ്പെട്ട പ്രോജക്റ്റുകൾ',
+            'projectPage.notFoundTitle': 'പ്രോജക്റ്റ് കണ്ടെത്തിയില്ല',
+            'projectPage.notFound': 'പ്രോജക്റ്റ് കണ്ടെത്തിയില്ല',
+            'projectPage.notFoundText': 'ഈ ലിങ്കിൽ പ്രസിദ്ധീകരിച്ച പ്രോജക്റ്റൊന്നുമില്ല.',
+            'projectPage.seeAll': 'എല്ലാ പ്രോജക്റ്റുകളും കാണുക',
+            'blog.heading': 'ഉൾക്കാഴ്ചകൾ',
+            'blog.readEntry': 'വായിക്കുക',
+            'blog.featured': 'തിരഞ്ഞെടുത്ത ലേഖനം',
+            'blog.readFull': 'മുഴുവൻ ലേഖനവും വായിക്കുക',
+            'blog.related': 'ബന്ധപ്പെട്ട വായന',
+            'blog.tags': 'ടാഗുകൾ',
+            'blog.tagged': '“{tag}” ടാഗ് ചെയ്തവ',
+            'blog.allPosts': 'എല്ലാ പോസ്റ്റുകളും',
+            'blog.noTagged': '“{tag}” ടാഗ് ചെയ്ത പോസ്റ്റുകളൊന്നും ഇതുവരെയില്ല.',
+            'ethosphere.heading': 'ശേഖരം',
+            'ethosphere.premium': 'പ്രീമിയം ശേഖരം',
+            'ethosphere.empty': 'നിലവിൽ എത്തോസ്ഫിയർ പ്രോജക്റ്റുകളൊന്നും പുറത്തിറക്കിയിട്ടില്ല.',
+            'home.tagline': 'വാസ്തുവിദ്യയും ഡിസൈനും',
+            'home.viewProjects': 'പ്രോജക്റ്റുകൾ കാണുക',
+            'home.reviews': 'ഞങ്ങളുടെ ക്ലയന്റുകൾ പറയുന്നത്',
+            'home.contact': 'ഞങ്ങളെ ബന്ധപ്പെടുക',
+            'contact.name': 'പേര്',
+            'contact.email': 'ഇമെയിൽ',
+            'contact.message': 'സന്ദേശം',
+            'contact.send': 'സന്ദേശം അയയ്ക്കുക',
+            'contact.general': 'പൊതുവായ അന്വേഷണം',
+            'contact.newProject': 'പുതിയ പ്രോജക്റ്റ്',
+            'contact.press': 'മാധ്യമം',
+            'contact.sent': 'നന്ദി! നിങ്ങളുടെ സന്ദേശം അയച്ചു.',
+            'contact.failed': 'ക്ഷമിക്കണം! നിങ്ങളുടെ സന്ദേശം അയയ്ക്കുന്നതിൽ ഒരു പ്രശ്നമുണ്ടായി.',
+            'projects.heading': 'തിരഞ്ഞെടുത്ത സൃഷ്ടികൾ',
+            'about.heading': 'ഞങ്ങളെക്കുറിച്ച്',
+            'faq.heading': 'പതിവ് ചോദ്യങ്ങൾ'
+        },
+        ta: {
+            'nav.home': 'முகப்பு',
+            'nav.projects': 'திட்டங்கள்',
+            'nav.ethosphere': 'எதோஸ்பியர்',
+            'nav.about': 'எங்களைப் பற்றி',
+            'nav.contact': 'தொடர்புக்கு',
+            'nav.logout': 'வெளியேறு',
+            'nav.menu': 'மெனுவைத் திற / மூடு',
+            'nav.language': 'மொழி',
+            'search.placeholder': 'தேடு',
+            'search.label': 'திட்டங்கள் மற்றும் கட்டுரைகளைத் தேடுங்கள்',
+            'search.empty': '"{query}" க்குப் பொருத்தங்கள் இல்லை.',
+            'search.hidden': '(மறைக்கப்பட்டது)',
+            'kind.project': 'திட்டம்',
+            'kind.story': 'திட்டக் கதை',
+            'kind.article': 'கட்டுரை',
+            'footer.rights': 'அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.',
+            'footer.blog': 'வலைப்பதிவு',
+            'footer.faq': 'அடிக்கடி கேட்கப்படும் கேள்விகள்',
+            'footer.admin': 'நிர்வாகம்',
+            'footer.services': 'பள்ளிகள், கல்லூரிகள், வணிகக் கட்டடங்கள், பொதுக் கட்டடங்கள், குடியிருப்புகள், விருந்தோம்பல் மற்றும் மருத்துவமனைகளுக்கான சிறந்த கட்டடக்கலைச் சேவைகள்.',
+            'footer.region': 'கேரளா, தமிழ்நாடு மற்றும் கர்நாடகா முழுவதும் வாடிக்கையாளர்களுக்குச் சேவை செய்கிறோம்.',
+            'common.close': 'மூடு',
+            'lightbox.label': 'படக் காட்சி',
+            'lightbox.prev': 'முந்தைய படம்',
+            'lightbox.next': 'அடுத்த படம்',
+            'gallery.alt': '{title}, {count} படங்களில் {n}-வது',
+            'gallery.credit': 'புகைப்படம்: {credit}',
+            'gallery.storyAlt': '{title} - படம்',
+            'expander.viewPage': 'திட்டப் பக்கத்தைப் பார்க்க',
+            'expander.readStory': 'திட்டக் கதையைப் படிக்க',
+            'spec.category': 'வகை',
+            'spec.location': 'இடம்',
+            'spec.year': 'ஆண்டு',
+            'spec.status': 'நிலை',
+            'spec.area': 'கட்டடப் பரப்பளவு',
+            'spec.areaValue': '{area} சதுர அடி',
+            'spec.services': 'சேவைகள்',
+            'spec.collaborators': 'கூட்டுப்பணியாளர்கள்',
+            'spec.collection': 'தொகுப்பு',
+            'collection.ethosphere': 'எதோஸ்பியர்',
+            'collection.conceptual': 'கருத்தியல்',
+            'category.Residential': 'குடியிருப்பு',
+            'category.Commercial': 'வணிகம்',
+            'category.Industrial': 'தொழில்துறை',
+            'category.Hospitality': 'விருந்தோம்பல்',
+            'category.Education': 'கல்வி',
+            'category.Healthcare': 'சுகாதாரம்',
+            'category.Public': 'பொது',
+            'status.Completed': 'நிறைவடைந்தது',
+            'status.Under Construction': 'கட்டுமானத்தில்',
+            'status.Concept': 'கருத்துரு',
+            'filters.all': 'அனைத்தும்',
+            'filters.category': 'அனைத்து வகைகளும்',
+            'filters.state': 'அனைத்து இடங்களும்',
+            'filters.year': 'அனைத்து ஆண்டுகளும்',
+            'filters.status': 'எந்த நிலையும்',
+            'filters.sort': 'திட்டங்களை வரிசைப்படுத்து',
+            'filters.showing': '{total} திட்டங்களில் {shown} காட்டப்படுகின்றன',
+            'filters.clear': 'வடிகட்டிகளை அழி',
+            'filters.empty': 'இந்த வடிகட்டிகளுக்குப் பொருந்தும் திட்டங்கள் இல்லை.',
+            'sort.featured': 'சிறப்பானவை',
+            'sort.newest': 'புதியவை முதலில்',
+            'sort.oldest': 'பழையவை முதலில்',
+            'sort.title': 'தலைப்பு (A–Z)',
+            'projectPage.back': 'அனைத்து திட்டங்களும்',
+            'projectPage.hidden': 'இந்தத் திட்டம் பொதுத் தளத்தில் மறைக்கப்பட்டுள்ளது.',
+            'projectPage.related': 'தொடர்புடைய திட்டங்கள்',
+            'projectPage.notFoundTitle': 'திட்டம் கிடைக்கவில்லை',
+            'projectPage.notFound': 'திட்டம் கிடைக்கவில்லை',
+            'projectPage.notFoundText': 'இந்த இணைப்பில் வெளியிடப்பட்ட திட்டம் எதுவும் இல்லை.',
+            'projectPage.seeAll': 'அனைத்து திட்டங்களையும் பார்க்க',
+            'blog.heading': 'பார்வைகள்',
+            'blog.readEntry': 'படிக்க',
+            'blog.featured': 'சிறப்புப் பார்வை',
+            'blog.readFull': 'முழுக் கட்டுரையைப் படிக்க',
+            'blog.related': 'தொடர்புடைய வாசிப்பு',
+            'blog.tags': 'குறிச்சொற்கள்',
+            'blog.tagged': '“{tag}” குறிச்சொல் கொண்டவை',
+            'blog.allPosts': 'அனைத்து பதிவுகளும்',
+            'blog.noTagged': '“{tag}” குறிச்சொல் கொண்ட பதிவுகள் இன்னும் இல்லை.',
+            'ethosphere.heading': 'தொகுப்பு',
+            'ethosphere.premium': 'பிரீமியம் தொகுப்பு',
+            'ethosphere.empty': 'தற்போது எதோஸ்பியர் திட்டங்கள் எதுவும் வெளியிடப்படவில்லை.',
+            'home.tagline': 'கட்டடக்கலை & வடிவமைப்பு',
+            'home.viewProjects': 'திட்டங்களைப் பார்க்க',
+            'home.reviews': 'எங்கள் வாடிக்கையாளர்கள் சொல்வது',
+            'home.contact': 'எங்களைத் தொடர்பு கொள்ளுங்கள்',
+            'contact.name': 'பெயர்',
+            'contact.email': 'மின்னஞ்சல்',
+            'contact.message': 'செய்தி',
+            'contact.send': 'செய்தியை அனுப்பு',
+            'contact.general': 'பொது விசாரணை',
+            'contact.newProject': 'புதிய திட்டம்',
+            'contact.press': 'ஊடகம்',
+            'contact.sent': 'நன்றி! உங்கள் செய்தி அனுப்பப்பட்டது.',
+            'contact.failed': 'மன்னிக்கவும்! உங்கள் செய்தியை அனுப்புவதில் சிக்கல் ஏற்பட்டது.',
+            'projects.heading': 'தேர்ந்தெடுக்கப்பட்ட படைப்புகள்',
+            'about.heading': 'எங்களைப் பற்றி',
+            'faq.heading': 'அடிக்கடி கேட்கப்படும் கேள்விகள்'
+        },
+        kn: {
+            'nav.home': 'ಮುಖಪುಟ',
+            'nav.projects': 'ಯೋಜನೆಗಳು',
+            'nav.ethosphere': 'ಎಥೋಸ್ಫಿಯರ್',
+            'nav.about': 'ನಮ್ಮ ಬಗ್ಗೆ',
+            'nav.contact': 'ಸಂಪರ್ಕಿಸಿ',
+            'nav.logout': 'ಲಾಗ್ ಔಟ್',
+            'nav.menu': 'ಮೆನು ತೆರೆ / ಮುಚ್ಚು',
+            'nav.language': 'ಭಾಷೆ',
+            'search.placeholder': 'ಹುಡುಕಿ',
+            'search.label': 'ಯೋಜನೆಗಳು ಮತ್ತು ಲೇಖನಗಳನ್ನು ಹುಡುಕಿ',
+            'search.empty': '"{query}" ಗೆ ಯಾವುದೇ ಫಲಿತಾಂಶಗಳಿಲ್ಲ.',
+            'search.hidden': '(ಮರೆಮಾಡಲಾಗಿದೆ)',
+            'kind.project': 'ಯೋಜನೆ',
+            'kind.story': 'ಯೋಜನೆಯ ಕಥೆ',
+            'kind.article': 'ಲೇಖನ',
+            'footer.rights': 'ಎಲ್ಲ ಹಕ್ಕುಗಳನ್ನು ಕಾಯ್ದಿರಿಸಲಾಗಿದೆ.',
+            'footer.blog': 'ಬ್ಲಾಗ್',
+            'footer.faq': 'ಪದೇ ಪದೇ ಕೇಳುವ ಪ್ರಶ್ನೆಗಳು',
+            'footer.admin': 'ನಿರ್ವಹಣೆ',
+            'footer.services': 'ಶಾಲೆಗಳು, ಕಾಲೇಜುಗಳು, ವಾಣಿಜ್ಯ ಕಟ್ಟಡಗಳು, ಸಾರ್ವಜನಿಕ ಕಟ್ಟಡಗಳು, ನಿವಾಸಗಳು, ಆತಿಥ್ಯ ಮತ್ತು ಆಸ್ಪತ್ರೆಗಳಿಗೆ ಪ್ರಮುಖ ವಾಸ್ತುಶಿಲ್ಪ ಸೇವೆಗಳು.',
+            'footer.region': 'ಕೇರಳ, ತಮಿಳುನಾಡು ಮತ್ತು ಕರ್ನಾಟಕದಾದ್ಯಂತ ಗ್ರಾಹಕರಿಗೆ ಸೇವೆ ಸಲ್ಲಿಸುತ್ತಿದ್ದೇವೆ.',
+            'common.close': 'ಮುಚ್ಚಿ',
+            'lightbox.label': 'ಚಿತ್ರ ವೀಕ್ಷಕ',
+            'lightbox.prev': 'ಹಿಂದಿನ ಚಿತ್ರ',
+            'lightbox.next': 'ಮುಂದಿನ ಚಿತ್ರ',
+            'gallery.alt': '{title}, {count} ಚಿತ್ರಗಳಲ್ಲಿ {n}ನೇ ಚಿತ್ರ',
+            'gallery.credit': 'ಛಾಯಾಚಿತ್ರ: {credit}',
+            'gallery.storyAlt': '{title} - ಚಿತ್ರ',
+            'expander.viewPage': 'ಯೋಜನೆಯ ಪುಟ ನೋಡಿ',
+            'expander.readStory': 'ಯೋಜನೆಯ ಕಥೆ ಓದಿ',
+            'spec.category': 'ವರ್ಗ',
+            'spec.location': 'ಸ್ಥಳ',
+            'spec.year': 'ವರ್ಷ',
+            'spec.status': 'ಸ್ಥಿತಿ',
+            'spec.area': 'ನಿರ್ಮಿತ ವಿಸ್ತೀರ್ಣ',
+            'spec.areaValue': '{area} ಚದರ ಅಡಿ',
+            'spec.services': 'ಸೇವೆಗಳು',
+            'spec.collaborators': 'ಸಹಯೋಗಿಗಳು',
+            'spec.collection': 'ಸಂಗ್ರಹ',
+            'collection.ethosphere': 'ಎಥೋಸ್ಫಿಯರ್',
+            'collection.conceptual': 'ಪರಿಕಲ್ಪನಾತ್ಮಕ',
+            'category.Residential': 'ವಸತಿ',
+            'category.Commercial': 'ವಾಣಿಜ್ಯ',
+            'category.Industrial': 'ಕೈಗಾರಿಕಾ',
+            'category.Hospitality': 'ಆತಿಥ್ಯ',
+            'category.Education': 'ಶಿಕ್ಷಣ',
+            'category.Healthcare': 'ಆರೋಗ್ಯ ರಕ್ಷಣೆ',
+            'category.Public': 'ಸಾರ್ವಜನಿಕ',
+            'status.Completed': 'ಪೂರ್ಣಗೊಂಡಿದೆ',
+            'status.Under Construction': 'ನಿರ್ಮಾಣ ಹಂತದಲ್ಲಿದೆ',
+            'status.Concept': 'ಪರಿಕಲ್ಪನೆ',
+            'filters.all': 'ಎಲ್ಲಾ',
+            'filters.category': 'ಎಲ್ಲಾ ವರ್ಗಗಳು',
+            'filters.state': 'ಎಲ್ಲಾ ಸ್ಥಳಗಳು',
+            'filters.year': 'ಎಲ್ಲಾ ವರ್ಷಗಳು',
+            'filters.status': 'ಯಾವುದೇ ಸ್ಥಿತಿ',
+            'filters.sort': 'ಯೋಜನೆಗಳನ್ನು ವಿಂಗಡಿಸಿ',
+            'filters.showing': '{total} ಯೋಜನೆಗಳಲ್ಲಿ {shown} ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            'filters.clear': 'ಫಿಲ್ಟರ್‌ಗಳನ್ನು ತೆರವುಗೊಳಿಸಿ',
+            'filters.empty': 'ಈ ಫಿಲ್ಟರ್‌ಗಳಿಗೆ ಹೊಂದುವ ಯೋಜನೆಗಳಿಲ್ಲ.',
+            'sort.featured': 'ವಿಶೇಷ',
+            'sort.newest': 'ಹೊಸದು ಮೊದಲು',
+            'sort.oldest': 'ಹಳೆಯದು ಮೊದಲು',
+            'sort.title': 'ಶೀರ್ಷಿಕೆ (A–Z)',
+            'projectPage.back': 'ಎಲ್ಲಾ ಯೋಜನೆಗಳು',
+            'projectPage.hidden': 'ಈ ಯೋಜನೆಯನ್ನು ಸಾರ್ವಜನಿಕ ತಾಣದಿಂದ ಮರೆಮಾಡಲಾಗಿದೆ.',
+            'projectPage.related': 'ಸಂಬಂಧಿತ ಯೋಜನೆಗಳು',
+            'projectPage.notFoundTitle': 'ಯೋಜನೆ ಕಂಡುಬಂದಿಲ್ಲ',
+            'projectPage.notFound': 'ಯೋಜನೆ ಕಂಡುಬಂದಿಲ್ಲ',
+            'projectPage.notFoundText': 'ಈ ಲಿಂಕ್‌ನಲ್ಲಿ ಯಾವುದೇ ಪ್ರಕಟಿತ ಯೋಜನೆ ಇಲ್ಲ.',
+            'projectPage.seeAll': 'ಎಲ್ಲಾ ಯೋಜನೆಗಳನ್ನು ನೋಡಿ',
+            'blog.heading': 'ಒಳನೋಟಗಳು',
+            'blog.readEntry': 'ಓದಿ',
+            'blog.featured': 'ವಿಶೇಷ ಒಳನೋಟ',
+            'blog.readFull': 'ಪೂರ್ಣ ಲೇಖನ ಓದಿ',
+            'blog.related': 'ಸಂಬಂಧಿತ ಓದು',
+            'blog.tags': 'ಟ್ಯಾಗ್‌ಗಳು',
+            'blog.tagged': '“{tag}” ಟ್ಯಾಗ್ ಮಾಡಿದವು',
+            'blog.allPosts': 'ಎಲ್ಲಾ ಬರಹಗಳು',
+            'blog.noTagged': '“{tag}” ಟ್ಯಾಗ್ ಮಾಡಿದ ಬರಹಗಳು ಇನ್ನೂ ಇಲ್ಲ.',
+            'ethosphere.heading': 'ಸಂಗ್ರಹ',
+            'ethosphere.premium': 'ಪ್ರೀಮಿಯಂ ಸಂಗ್ರಹ',
+            'ethosphere.empty': 'ಸದ್ಯಕ್ಕೆ ಯಾವುದೇ ಎಥೋಸ್ಫಿಯರ್ ಯೋಜನೆಗಳು ಬಿಡುಗಡೆಯಾಗಿಲ್ಲ.',
+            'home.tagline': 'ವಾಸ್ತುಶಿಲ್ಪ ಮತ್ತು ವಿನ್ಯಾಸ',
+            'home.viewProjects': 'ಯೋಜನೆಗಳನ್ನು ನೋಡಿ',
+            'home.reviews': 'ನಮ್ಮ ಗ್ರಾಹಕರು ಹೇಳುವುದು',
+            'home.contact': 'ನಮ್ಮನ್ನು ಸಂಪರ್ಕಿಸಿ',
+            'contact.name': 'ಹೆಸರು',
+            'contact.email': 'ಇಮೇಲ್',
+            'contact.message': 'ಸಂದೇಶ',
+            'contact.send': 'ಸಂದೇಶ ಕಳುಹಿಸಿ',
+            'contact.general': 'ಸಾಮಾನ್ಯ ವಿಚಾರಣೆ',
+            'contact.newProject': 'ಹೊಸ ಯೋಜನೆ',
+            'contact.press': 'ಮಾಧ್ಯಮ',
+            'contact.sent': 'ಧನ್ಯವಾದಗಳು! ನಿಮ್ಮ ಸಂದೇಶವನ್ನು ಕಳುಹಿಸಲಾಗಿದೆ.',
+            'contact.failed': 'ಕ್ಷಮಿಸಿ! ನಿಮ್ಮ ಸಂದೇಶ ಕಳುಹಿಸುವಲ್ಲಿ ಸಮಸ್ಯೆ ಉಂಟಾಯಿತು.',
+            'projects.heading': 'ಆಯ್ದ ಕೃತಿಗಳು',
+            'about.heading': 'ನಮ್ಮ ಬಗ್ಗೆ',
+            'faq.heading': 'ಪದೇ ಪದೇ ಕೇಳುವ ಪ್ರಶ್ನೆಗಳು'
+        }
+    };
+
+    // ?lang=ml, else the language picked last time, else English. A ?lang= link also becomes the
+    // visitor's choice, so the rest of the site follows it. admin.html edits the English originals
+    // (data-english-only), so it always uses English.
+    const LANGUAGE = (() => {
+        if (document.documentElement.hasAttribute('data-english-only')) return DEFAULT_LANGUAGE;
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (LANGUAGES[requested]) {
+            localStorage.setItem(DB_KEYS.LANGUAGE, requested);
+            return requested;
+        }
+        const saved = localStorage.getItem(DB_KEYS.LANGUAGE);
+        return LANGUAGES[saved] ? saved : DEFAULT_LANGUAGE;
+    })();
+
+    function t(key, params = {}) {
+        const text = UI_STRINGS[LANGUAGE][key] ?? UI_STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // A category or status for display; the English value stays the filter and URL value
+    function valueLabel(group, value) {
+        return UI_STRINGS[LANGUAGE][`${group}.${value}`] || value;
+    }
+
+    // A project or post with the page language's translated fields laid over the English ones.
+    // Untranslated fields (and items with no translation) keep their English text.
+    function localized(item) {
+        const translation = item.translations && item.translations[LANGUAGE];
+        if (!translation) return item;
+        const present = fields => Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+        const { blog, ...fields } = translation;
+        return { ...item, ...present(fields), ...(blog && item.blog && { blog: { ...item.blog, ...present(blog) } }) };
+    }
+
+    // A same-site URL with its ?lang= set for lang (English needs none)
+    function languageUrl(lang, href = window.location.href) {
+        const url = new URL(href, window.location.href);
+        if (lang === DEFAULT_LANGUAGE) url.searchParams.delete('lang');
+        else url.searchParams.set('lang', lang);
+        return url.pathname + url.search + url.hash;
+    }
+
+    // Puts the language in <html lang> and the address bar, and translates the page's own text:
+    // elements marked data-i18n="key" (text) or data-i18n-placeholder="key"
+    function applyLanguage() {
+        document.documentElement.lang = LANGUAGE;
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (languageUrl(LANGUAGE) !== current) history.replaceState(history.state, '', languageUrl(LANGUAGE));
+        if (LANGUAGE === DEFAULT_LANGUAGE) return;
+
+        document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    }
+
+    // --- MARKDOWN (Story and Article Bodies) ---
+    // A safe subset: headings, paragraphs, lists, block quotes, rules, fenced code, images with
+    // captions, links, emphasis and inline code. Raw HTML is never passed through; it is escaped.
+
+    // Links and images may point at web pages, mail, phone numbers or paths on this site; anything
+    // else (javascript:, data: and so on) is dropped
+    function safeUrl(url) {
+        const cleaned = url.replace(/[\s\u0000-\u001f]/g, '');
+        const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) return null;
+        return cleaned;
+    }
+
+    const MD_IMAGE = /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/;
+    const MD_LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+    const MD_INLINE = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g;
+
+    function renderInline(text) {
+        let out = '';
+        let last = 0;
+        text.replace(MD_INLINE, (match, code, alt, src, label, href, strong, em, em2, offset) => {
+            out += escapeHtml(text.slice(last, offset));
+            last = offset + match.length;
+
+            if (code !== undefined) {
+                out += `<code>${escapeHtml(code)}</code>`;
+            } else if (src !== undefined) {
+                const url = safeUrl(src);
+                out += url ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" loading="lazy">` : escapeHtml(alt);
+            } else if (href !== undefined) {
+                const url = safeUrl(href);
+                const external = /^https?:/i.test(url || '') ? ' target="_blank" rel="noopener"' : '';
+                out += url ? `<a href="${escapeHtml(url)}"${external}>${renderInline(label)}</a>` : renderInline(label);
+            } else if (strong !== undefined) {
+                out += `<strong>${renderInline(strong)}</strong>`;
+            } else {
+                out += `<em>${renderInline(em !== undefined ? em : em2)}</em>`;
+            }
+            return match;
+        });
+        return out + escapeHtml(text.slice(last));
+    }
+
+    function startsMarkdownBlock(line) {
+        return /^\s*(#{1,6}\s|>|```)/.test(line) || MD_LIST_ITEM.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+    }
+
+    // Parses Markdown into top-level blocks [{ type, html }], so callers can place things between them
+    function markdownBlocks(text) {
+        const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            if (/^\s*```/.test(line)) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+                i++; // Closing fence
+                blocks.push({ type: 'code', html: `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>` });
+                continue;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)[\s#]*$/);
+            if (heading) {
+                // The post title is the page's h1, so "#" starts at h2
+                const level = Math.min(heading[1].length + 1, 6);
+                blocks.push({ type: 'heading', html: `<h${level}>${renderInline(heading[2])}</h${level}>` });
+                i++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                blocks.push({ type: 'rule', html: '<hr>' });
+                i++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+                blocks.push({ type: 'quote', html: `<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>` });
+                continue;
+            }
+
+            const first = line.match(MD_LIST_ITEM);
+            if (first) {
+                const ordered = /\d/.test(first[1]);
+                const items = [];
+                while (i < lines.length) {
+                    const item = lines[i].match(MD_LIST_ITEM);
+                    if (item && /\d/.test(item[1]) === ordered) items.push(item[2]);
+                    else if (items.length && /^\s+\S/.test(lines[i])) items[items.length - 1] += ' ' + lines[i].trim(); // Wrapped item
+                    else break;
+                    i++;
+                }
+                const start = ordered && parseInt(first[1], 10) !== 1 ? ` start="${parseInt(first[1], 10)}"` : '';
+                const tag = ordered ? 'ol' : 'ul';
+                blocks.push({ type: 'list', html: `<${tag}${start}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>` });
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsMarkdownBlock(lines[i]))) {
+                paragraph.push(lines[i++].trim());
+            }
+            const text = paragraph.join('\n');
+
+            // An image on its own becomes a figure, with its "title" as the caption
+            const image = text.match(MD_IMAGE);
+            const url = image && safeUrl(image[2]);
+            if (url) {
+                blocks.push({
+                    type: 'figure',
+                    html: `<figure><img src="${escapeHtml(url)}" alt="${escapeHtml(image[1])}" tabindex="0" loading="lazy">${image[3] ? `<figcaption>${renderInline(image[3])}</figcaption>` : ''}</figure>`
+                });
+                continue;
+            }
+            blocks.push({ type: 'paragraph', html: `<p>${renderInline(text)}</p>` });
+        }
+        return blocks;
+    }
+
+    function renderMarkdown(text) {
+        return rawHtml(markdownBlocks(text).map(block => block.html).join(''));
+    }
+
+    // --- AUTH (Admin Login) ---
+    // js/auth.json picks a provider. 'hash' checks a salted PBKDF2 hash in the browser, which keeps the
+    // password out of the source but cannot stop someone editing localStorage: its session is only a
+    // gate on the admin panel, and publishing still needs the server or a commit. 'endpoint' asks a
+    // server, which can then also check the session token on every write. The repo ships without a
+    // password hash; tools/set-admin-password.js writes one.
+    const DEFAULT_AUTH_CONFIG = {
+        provider: 'hash',
+        sessionMinutes: 60,
+        maxAttempts: 5,
+        lockoutMinutes: 15
+    };
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function hashPassword(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: encoder.encode(salt), iterations, hash: 'SHA-256' },
+            key,
+            256
+        );
+        return toHex(bits);
+    }
+
+    // Each provider resolves to { token, expiresAt? } on success and null on a wrong password
+    const AUTH_PROVIDERS = {
+        hash: {
+            async login(password, config) {
+                if (!config.passwordHash || !config.salt) throw new Error('No admin password is configured (run tools/set-admin-password.js)');
+                const hash = await hashPassword(password, config.salt, config.iterations);
+                if (hash !== config.passwordHash) return null;
+                return { token: toHex(crypto.getRandomValues(new Uint8Array(16))) };
+            },
+            logout() { return Promise.resolve(); }
+        },
+        endpoint: {
+            async login(password, config) {
+                const res = await fetch(`${config.endpoint}/login`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password })
+                });
+                if (res.status === 401) return null;
+                const body = await res.json().catch(() => ({}));
+                if (!res.ok) throw new Error(body.error || `Login failed (HTTP ${res.status})`);
+                return { token: body.token, expiresAt: body.expiresAt };
+            },
+            logout(session, config) {
+                return fetch(`${config.endpoint}/logout`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${session.token}` }
+                }).catch(() => {});
+            }
+        }
+    };
+
+    const Auth = {
+        config: null,
+
+        registerProvider(name, provider) {
+            AUTH_PROVIDERS[name] = provider;
+        },
+        loadConfig() {
+            if (!this.config) {
+                this.config = readJsonFile(CONTENT_PATHS.AUTH_CONFIG)
+                    .then(config => ({ ...DEFAULT_AUTH_CONFIG, ...config }))
+                    .catch(e => {
+                        console.error(e.message);
+                        return { ...DEFAULT_AUTH_CONFIG };
+                    });
+            }
+            return this.config;
+        },
+        readJson(key) {
+            try {
+                const value = JSON.parse(localStorage.getItem(key));
+                return value && typeof value === 'object' ? value : null;
+            } catch (e) {
+                return null;
+            }
+        },
+        getSession() {
+            const session = this.readJson(DB_KEYS.AUTH);
+            if (!session || !session.token || !(session.expiresAt > Date.now())) return null;
+            return session;
+        },
+        // Minutes left on the lockout, or 0 when logging in is allowed
+        lockoutRemaining() {
+            const attempts = this.readJson(DB_KEYS.AUTH_ATTEMPTS);
+            if (!attempts || !(attempts.lockedUntil > Date.now())) return 0;
+            return Math.ceil((attempts.lockedUntil - Date.now()) / 60000);
+        },
+        recordFailure(config) {
+            const attempts = this.readJson(DB_KEYS.AUTH_ATTEMPTS) || { count: 0 };
+            attempts.count = attempts.lockedUntil > 0 && attempts.lockedUntil <= Date.now() ? 1 : attempts.count + 1;
+            attempts.lockedUntil = attempts.count >= config.maxAttempts ? Date.now() + config.lockoutMinutes * 60000 : 0;
+            localStorage.setItem(DB_KEYS.AUTH_ATTEMPTS, JSON.stringify(attempts));
+            return config.maxAttempts - attempts.count;
+        },
+        async login(password) {
+            const locked = this.lockoutRemaining();
+            if (locked) return { ok: false, message: `Too many failed attempts. Try again in ${locked} minute(s).` };
+
+            const config = await this.loadConfig();
+            const provider = AUTH_PROVIDERS[config.endpoint ? 'endpoint' : config.provider];
+            if (!provider) return { ok: false, message: `Unknown auth provider "${config.provider}"` };
+
+            let result;
+            try {
+                result = await provider.login(password, config);
+            } catch (e) {
+                return { ok: false, message: e.message };
+            }
+
+            if (!result) {
+                const left = this.recordFailure(config);
+                return {
+                    ok: false,
+                    message: left > 0 ? `Invalid Password (${left} attempt(s) left)` : `Too many failed attempts. Try again in ${config.lockoutMinutes} minute(s).`
+                };
+            }
+
+            localStorage.removeItem(DB_KEYS.AUTH_ATTEMPTS);
+            localStorage.setItem(DB_KEYS.AUTH, JSON.stringify({
+                token: result.token,
+                expiresAt: result.expiresAt || Date.now() + config.sessionMinutes * 60000
+            }));
+            return { ok: true };
+        },
+        async logout() {
+            const session = this.getSession();
+            localStorage.removeItem(DB_KEYS.AUTH);
+            const config = await this.loadConfig();
+            if (session && config.endpoint) await AUTH_PROVIDERS.endpoint.logout(session, config);
+        }
+    };
+
+    // --- PUBLISHER (Local Server) ---
+    // When the site is served by tools/server.js, admin changes are written straight to disk.
+    // On a static host there is no server, and the admin panel falls back to file downloads.
+    const Publisher = {
+        available: null,
+
+        detect() {
+            if (this.available === null) {
+                this.available = location.protocol.startsWith('http')
+                    ? fetch('api/status', { cache: 'no-store' })
+                        .then(res => res.ok ? res.json() : null)
+                        .then(body => !!(body && body.nexhaus && body.writable))
+                        .catch(() => false)
+                    : Promise.resolve(false);
+            }
+            return this.available;
+        },
+        async request(method, path, body) {
+            const res = await fetch(`api/${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${Store.getAuthToken()}`
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+            return result;
+        },
+        saveProject(project) {
+            return this.request('PUT', `projects/${encodeURIComponent(project.id)}`, { content: serializeProjectFile(project) });
+        },
+        deleteProject(id) { return this.request('DELETE', `projects/${encodeURIComponent(id)}`); },
+        saveArticle(article) { return this.request('PUT', `articles/${encodeURIComponent(article.id)}`, { article }); },
+        deleteArticle(id) { return this.request('DELETE', `articles/${encodeURIComponent(id)}`); },
+        saveReview(review) { return this.request('PUT', `reviews/${encodeURIComponent(review.id)}`, { review }); },
+        deleteReview(id) { return this.request('DELETE', `reviews/${encodeURIComponent(id)}`); },
+        saveVisibility() {
+            return this.request('PUT', 'visibility', { hiddenProjects: hiddenProjectIds, hiddenBlogs: hiddenBlogIds });
+        },
+        saveFeaturedInsight() { return this.request('PUT', 'featured', { featuredInsight }); }
+    };
+
+    // Runs task() against the local server if there is one. Resolves to true once saved,
+    // false on a static site (or after reporting a failed save)
+    function saveToServer(task) {
+        return Publisher.detect().then(live => {
+            if (!live) return false;
+            return task().then(() => true, e => {
+                alert(`Could not save to the server: ${e.message}`);
+                return false;
+            });
+        });
+    }
+
+    // Only reviews added through the admin panel are published; the seeded defaults stay local
+    function isPublishableReview(review) {
+        return typeof review.id === 'string' && review.id.startsWith('rev_');
+    }
+
+    // Change journal. Every admin mutation stores the state it replaced, so changes
+    // can be undone and any earlier state restored.
+    const HISTORY_LIMIT = 50;
+
+    function adminSnapshot() {
+        return JSON.parse(JSON.stringify({
+            projects: loadedProjects,
+            projectManifest,
+            hiddenProjects: hiddenProjectIds,
+            hiddenBlogs: hiddenBlogIds,
+            reviews: customReviews,
+            articles: customArticles,
+            featuredInsight
+        }));
+    }
+
+    function recordChange(label, before) {
+        changeHistory.push({ id: `chg_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`, at: new Date().toISOString(), label, before });
+        if (changeHistory.length > HISTORY_LIMIT) changeHistory = changeHistory.slice(-HISTORY_LIMIT);
+        localStorage.setItem(DB_KEYS.HISTORY, JSON.stringify(changeHistory));
+
+        if (document.getElementById('change-history')) renderChangeHistory();
+    }
+
+    function restoreSnapshot(snapshot) {
+        const articleIds = new Set([...customArticles, ...snapshot.articles].map(a => a.id));
+
+        hiddenProjectIds = snapshot.hiddenProjects;
+        hiddenBlogIds = snapshot.hiddenBlogs;
+        customReviews = snapshot.reviews;
+        customArticles = snapshot.articles;
+        loadedArticles = loadedArticles.filter(a => !articleIds.has(a.id)).concat(customArticles);
+        // Snapshots journaled before the setting existed leave it as it is
+        featuredInsight = featuredInsightSetting(snapshot.featuredInsight || featuredInsight);
+        // Likewise for projects; they live in their own files, so only the server can keep them (see publishSnapshotChanges)
+        if (snapshot.projects) {
+            loadedProjects = snapshot.projects;
+            loadedBlogPosts = loadedProjects.filter(p => p.blog).map(projectBlogPost);
+            projectManifest = snapshot.projectManifest;
+        }
+
+        localStorage.setItem(DB_KEYS.HIDDEN_PROJECTS, JSON.stringify(hiddenProjectIds));
+        localStorage.setItem(DB_KEYS.HIDDEN_BLOGS, JSON.stringify(hiddenBlogIds));
+        localStorage.setItem(DB_KEYS.CUSTOM_REVIEWS, JSON.stringify(customReviews));
+        localStorage.setItem(DB_KEYS.CUSTOM_ARTICLES, JSON.stringify(customArticles));
+        localStorage.setItem(DB_KEYS.FEATURED_INSIGHT, JSON.stringify(featuredInsight));
+    }
+
+    // Once this browser has made admin changes, its saved lists win over the published file.
+    // Visitors (and admins with nothing unexported) always see js/updates.json.
+    function hasLocalState(key) {
+        return localStorage.getItem(DB_KEYS.HISTORY) !== null && localStorage.getItem(key) !== null;
+    }
+
+    // Compare published updates with a local admin snapshot, item by item. Each difference is
+    // { key, kind, id, label, published, local }: an object (or null when missing) for reviews
+    // and articles, whether the id is hidden for the two visibility lists, and the setting itself for
+    // the featured insight
+    function diffUpdates(published, local) {
+        const differences = [];
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        [['hiddenProject', 'hiddenProjects'], ['hiddenBlog', 'hiddenBlogs']].forEach(([kind, field]) => {
+            const pub = published[field] || [];
+            const ids = [...new Set([...pub, ...local[field]])];
+            ids.filter(id => pub.includes(id) !== local[field].includes(id)).forEach(id => {
+                differences.push({ key: `${kind}:${id}`, kind, id, label: id, published: pub.includes(id), local: local[field].includes(id) });
+            });
+        });
+
+        [['review', 'reviews', r => r.client], ['article', 'articles', a => a.title]].forEach(([kind, field, labelOf]) => {
+            const pub = published[field] || [];
+            const mine = kind === 'review' ? local[field].filter(isPublishableReview) : local[field];
+            const ids = [...new Set([...pub, ...mine].map(item => String(item.id)))];
+            ids.forEach(id => {
+                const p = pub.find(item => String(item.id) === id) || null;
+                const l = mine.find(item => String(item.id) === id) || null;
+                if (same(p, l)) return;
+                differences.push({ key: `${kind}:${id}`, kind, id, label: labelOf(l || p), published: p, local: l });
+            });
+        });
+
+        const pubFeatured = featuredInsightSetting(published.featuredInsight);
+        const localFeatured = featuredInsightSetting(local.featuredInsight);
+        if (!same(pubFeatured, localFeatured)) {
+            differences.push({ key: 'featured', kind: 'featured', id: 'featured', label: 'Home page', published: pubFeatured, local: localFeatured });
+        }
+        return differences;
+    }
+
+    // Side to keep by default: local, unless the published copy is the only one or was edited later
+    function preferPublished(difference) {
+        if (difference.kind !== 'review' && difference.kind !== 'article') return false;
+        if (!difference.local) return true;
+        if (!difference.published) return false;
+        return (difference.published.updatedAt || '') > (difference.local.updatedAt || '');
+    }
+
+    // Save the difference between two snapshots to the local server, after an undo or restore
+    function publishSnapshotChanges(before, after) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const removed = (from, to) => from.filter(item => !to.some(other => other.id == item.id));
+        const changed = (from, to) => to.filter(item => !from.some(other => same(other, item)));
+
+        return saveToServer(async () => {
+            if (before.projects && after.projects) {
+                // Saving a project also puts its id back in projects/index.json
+                const edited = changed(before.projects, after.projects);
+                const listed = after.projects.filter(p => !before.projectManifest.includes(p.id));
+                for (const id of before.projectManifest.filter(id => !after.projectManifest.includes(id))) await Publisher.deleteProject(id);
+                for (const p of after.projects.filter(p => edited.includes(p) || listed.includes(p))) await Publisher.saveProject(p);
+            }
+            await Publisher.saveVisibility();
+            if (!same(before.featuredInsight, after.featuredInsight)) await Publisher.saveFeaturedInsight();
+            for (const r of removed(before.reviews, after.reviews).filter(isPublishableReview)) await Publisher.deleteReview(r.id);
+            for (const r of changed(before.reviews, after.reviews).filter(isPublishableReview)) await Publisher.saveReview(r);
+            for (const a of removed(before.articles, after.articles)) await Publisher.deleteArticle(a.id);
+            for (const a of changed(before.articles, after.articles)) await Publisher.saveArticle(a);
+        });
+    }
+
+    function projectBlogPost(project) {
+        return {
+            projectId: project.id,
+            title: project.blog.title || project.title,
+            date: project.blog.date || 'Recently Added',
+            excerpt: project.blog.excerpt || project.description,
+            content: project.blog.content,
+            image: project.image,
+            status: project.blog.status,
+            publishAt: project.blog.publishAt,
+            tags: project.blog.tags,
+            // The story's own translations, falling back to the translated project fields like the English does
+            translations: project.translations && Object.fromEntries(Object.entries(project.translations).map(([lang, tr]) => [lang, {
+                title: (tr.blog && tr.blog.title) || (!project.blog.title ? tr.title : undefined),
+                excerpt: (tr.blog && tr.blog.excerpt) || (!project.blog.excerpt ? tr.description : undefined),
+                content: tr.blog && tr.blog.content
+            }]))
+        };
+    }
+
+    // publishAt as a time; without a time of day it means the start of that day. Without an offset
+    // it is India time (PUBLISH_UTC_OFFSET), never the time zone of whoever happens to read it
+    function publishTime(value) {
+        const time = /T/.test(value) ? value : `${value}T00:00`;
+        return new Date(/(Z|[+-]\d{2}:\d{2})$/.test(time) ? time : time + PUBLISH_UTC_OFFSET);
+    }
+
+    // 'draft', 'scheduled' (its publishAt is still ahead) or 'published'. A scheduled post
+    // without a publishAt has no time to go live, so it stays a draft
+    function publishState(post, now = new Date()) {
+        if (post.status === 'draft') return 'draft';
+        if (post.publishAt) return publishTime(post.publishAt) > now ? 'scheduled' : 'published';
+        return post.status === 'scheduled' ? 'draft' : 'published';
+    }
+
+    // A usable featured insight setting, or the default: pinned needs the id of the post it pins
+    function featuredInsightSetting(value) {
+        if (!value || !FEATURED_MODES.includes(value.mode)) return DEFAULT_FEATURED_INSIGHT;
+        if (value.mode !== 'pinned') return { mode: value.mode };
+        return typeof value.postId === 'string' && value.postId ? { mode: 'pinned', postId: value.postId } : DEFAULT_FEATURED_INSIGHT;
+    }
+
+    function featuredInsightDescription(setting) {
+        return setting.mode === 'pinned' ? `pinned: ${setting.postId}` : setting.mode;
+    }
+
+    // What an admin previewing a post that isn't public yet is told about it; null once it is published
+    function publishLabel(post) {
+        if (post.publishState === 'draft') return t('publish.draft');
+        if (post.publishState === 'scheduled') return t('publish.scheduled', { date: publishTime(post.publishAt).toLocaleString(LANGUAGE, { timeZone: PUBLISH_TIME_ZONE, dateStyle: 'medium', timeStyle: 'short' }) });
+        return null;
+    }
+
     const Store = {
         init() {
             // Load hidden data
@@ -66,11 +1482,19 @@ const App = (function () {
                     });
                     customReviews = Array.from(uniqueMap.values());
                 } else {
-                    // Seed Defaults
+                    // Placeholder until js/updates.json loads; not saved, so published reviews replace it
                     customReviews = [...DEFAULT_REVIEWS];
-                    localStorage.setItem(DB_KEYS.CUSTOM_REVIEWS, JSON.stringify(customReviews));
                 }
 
+                const hStored = localStorage.getItem(DB_KEYS.HISTORY);
+                changeHistory = hStored ? JSON.parse(hStored) : [];
+
+                const fStored = localStorage.getItem(DB_KEYS.FEATURED_INSIGHT);
+                featuredInsight = featuredInsightSetting(fStored ? JSON.parse(fStored) : null);
+
+                const dStored = localStorage.getItem(DB_KEYS.PROJECT_DRAFT);
+                projectDraft = dStored ? JSON.parse(dStored) : null;
+
                 const aStored = localStorage.getItem(DB_KEYS.CUSTOM_ARTICLES);
                 if (aStored) {
                     customArticles = JSON.parse(aStored);
@@ -88,48 +1512,142 @@ const App = (function () {
                 customReviews = [...DEFAULT_REVIEWS];
             }
         },
-        // Register a project from an external file
-        loadProject(data) {
+        // Load the manifest projects and the published updates, once per page.
+        // Resolves when everything has loaded; bad files are reported and skipped.
+        ready() {
+            if (contentReady) return contentReady;
+
+            const bundleReady = location.protocol === 'file:' ? loadScript(CONTENT_PATHS.BUNDLE) : Promise.resolve();
+            contentReady = bundleReady
+                .then(() => readJsonFile(CONTENT_PATHS.ASSET_MANIFEST))
+                .then(manifest => { assetManifest = manifest; })
+                .catch(e => recordContentIssues(CONTENT_PATHS.ASSET_MANIFEST, [{ field: '(file)', message: `${e.message}; image paths can't be checked (run tools/build-asset-manifest.js)`, severity: 'warning' }]))
+                // Missing until tools/build-images.js has run; the original images are used until then
+                .then(() => readJsonFile(CONTENT_PATHS.RESPONSIVE_IMAGES))
+                .then(images => { responsiveImages = images; }, () => { responsiveImages = {}; })
+                .then(() => readJsonFile(CONTENT_PATHS.UPDATES))
+                .then(updates => this.applyUpdates(updates))
+                .catch(e => recordContentIssues(CONTENT_PATHS.UPDATES, [{ field: '(file)', message: e.message, severity: 'error' }]))
+                .then(() => readJsonFile(CONTENT_PATHS.PROJECT_MANIFEST))
+                .then(ids => Promise.all((projectManifest = ids).map(id => {
+                    const path = `projects/${id}.md`;
+                    return readContentFile(path)
+                        .then(text => ({ path, text }))
+                        .catch(e => {
+                            recordContentIssues(path, [{ field: '(file)', message: e.message, severity: 'error' }]);
+                            return null;
+                        });
+                })))
+                .then(files => files.forEach(file => file && this.loadProject(file.text, file.path)))
+                .catch(e => recordContentIssues(CONTENT_PATHS.PROJECT_MANIFEST, [{ field: '(file)', message: e.message, severity: 'error' }]));
+            return contentReady;
+        },
+        // Called by js/content-bundle.js with { path: fileText } for every content file
+        loadBundle(files) {
+            contentBundle = files;
+        },
+        // Apply js/updates.json: visibility, reviews, articles and the featured insight published from the admin panel.
+        // Lists this browser has edited itself are kept until they are exported (see hasLocalState)
+        applyUpdates(updates) {
+            publishedUpdates = updates;
+
+            if (!hasLocalState(DB_KEYS.HIDDEN_PROJECTS)) this.setHiddenProjects(updates.hiddenProjects || []);
+            if (!hasLocalState(DB_KEYS.HIDDEN_BLOGS)) this.setHiddenBlogs(updates.hiddenBlogs || []);
+            if (!hasLocalState(DB_KEYS.CUSTOM_REVIEWS)) customReviews = (updates.reviews || []).map(r => ({ ...r }));
+            if (!hasLocalState(DB_KEYS.FEATURED_INSIGHT)) featuredInsight = featuredInsightSetting(updates.featuredInsight);
+
+            const articles = (updates.articles || []).filter((a, i) => this.loadArticle(a, `${CONTENT_PATHS.UPDATES} articles[${i}]`));
+            if (!hasLocalState(DB_KEYS.CUSTOM_ARTICLES)) {
+                articles.forEach(a => { if (!customArticles.some(c => c.id === a.id)) customArticles.push(a); });
+            }
+        },
+        // Register a project from a projects/<id>.md file (or an already-parsed object)
+        loadProject(data, source = 'project') {
+            if (typeof data === 'string') {
+                try {
+                    data = parseProjectFile(data);
+                } catch (e) {
+                    recordContentIssues(source, [{ field: '(file)', message: e.message, severity: 'error' }]);
+                    quarantinedContent.push({ kind: 'project', source, data: null });
+                    return false;
+                }
+            }
+
+            data = withGalleryCover(data);
+            if (!checkContent('project', source, data, PROJECT_SCHEMA)) return false;
+            recordContentIssues(source, projectAssetIssues(data));
+
             // Avoid duplicates
-            if (loadedProjects.find(p => p.id === data.id)) return;
+            if (loadedProjects.find(p => p.id === data.id)) {
+                recordContentIssues(source, [{ field: 'id', message: `"${data.id}" is already used by another project`, severity: 'warning' }]);
+                return false;
+            }
 
             loadedProjects.push(data);
 
             // If project has blog content, add to blog posts
-            if (data.blog) {
-                loadedBlogPosts.push({
-                    projectId: data.id,
-                    title: data.blog.title || data.title,
-                    date: data.blog.date || 'Recently Added',
-                    excerpt: data.blog.excerpt || data.description,
-                    content: data.blog.content,
-                    image: data.image
-                });
-            }
+            if (data.blog) loadedBlogPosts.push(projectBlogPost(data));
+            return true;
+        },
+        // Add a project from the admin editor, or replace the loaded project with the same id in place
+        addProject(data) {
+            data = withGalleryCover(data);
+            if (validateFields(data, PROJECT_SCHEMA).some(issue => issue.severity === 'error')) return false;
+
+            const before = adminSnapshot();
+            const index = loadedProjects.findIndex(p => p.id === data.id);
+            if (index > -1) loadedProjects.splice(index, 1, data);
+            else loadedProjects.push(data);
+            if (!projectManifest.includes(data.id)) projectManifest.push(data.id);
+
+            loadedBlogPosts = loadedBlogPosts.filter(b => b.projectId !== data.id);
+            if (data.blog) loadedBlogPosts.push(projectBlogPost(data));
+            recordChange(`${index > -1 ? 'Edited' : 'Added'} project "${data.title}"`, before);
+            return true;
+        },
+        // The admin project editor keeps its unsaved form here, so a reload doesn't lose work
+        getProjectDraft() { return projectDraft; },
+        saveProjectDraft(draft) {
+            projectDraft = draft;
+            localStorage.setItem(DB_KEYS.PROJECT_DRAFT, JSON.stringify(draft));
+        },
+        clearProjectDraft() {
+            projectDraft = null;
+            localStorage.removeItem(DB_KEYS.PROJECT_DRAFT);
         },
         // Register a standalone article
-        loadArticle(data) {
+        loadArticle(data, source = 'article') {
+            if (!checkContent('article', source, data, ARTICLE_SCHEMA)) return false;
+
             // Avoid duplicates
-            if (loadedArticles.find(a => a.id === data.id)) return;
+            if (loadedArticles.find(a => a.id === data.id)) return false;
             loadedArticles.push(data);
+            return true;
         },
+        // Problems found while loading content, plus the entries that were set aside because of them
+        getContentIssues() { return contentIssues.slice(); },
+        getQuarantinedContent() { return quarantinedContent.slice(); },
         getProjects() {
             return loadedProjects.map(p => ({
-                ...p,
+                ...localized(p),
                 isHidden: hiddenProjectIds.includes(p.id)
             }));
         },
         toggleVisibility(id) {
+            const before = adminSnapshot();
             const index = hiddenProjectIds.indexOf(id);
             if (index > -1) hiddenProjectIds.splice(index, 1);
             else hiddenProjectIds.push(id);
             localStorage.setItem(DB_KEYS.HIDDEN_PROJECTS, JSON.stringify(hiddenProjectIds));
+            recordChange(`${index > -1 ? 'Showed' : 'Hid'} project "${id}"`, before);
         },
         toggleBlogVisibility(id) {
+            const before = adminSnapshot();
             const index = hiddenBlogIds.indexOf(id);
             if (index > -1) hiddenBlogIds.splice(index, 1);
             else hiddenBlogIds.push(id);
             localStorage.setItem(DB_KEYS.HIDDEN_BLOGS, JSON.stringify(hiddenBlogIds));
+            recordChange(`${index > -1 ? 'Showed' : 'Hid'} the story of "${id}"`, before);
         },
         setHiddenProjects(ids) {
             hiddenProjectIds = ids;
@@ -143,34 +1661,65 @@ const App = (function () {
             hiddenBlogIds = ids;
         },
         deleteProject(id) {
+            const project = loadedProjects.find(p => p.id === id);
+            if (project) recordChange(`Deleted project "${project.title}"`, adminSnapshot());
+
             loadedProjects = loadedProjects.filter(p => p.id !== id);
             loadedBlogPosts = loadedBlogPosts.filter(b => b.projectId !== id);
+            projectManifest = projectManifest.filter(p => p !== id);
             const grid = document.querySelector('.projects-grid');
             if (grid) grid.innerHTML = '';
             App.initProjects();
         },
+        // Returns the project whose story was removed, if id was a project's; articles go through deleteCustomArticle
         deleteBlog(id) {
-            // Could be a projectId OR an articleId
+            // Could be a projectId OR an articleId. A project's story is part of its file, so removing it edits the project
+            const index = loadedProjects.findIndex(p => p.id === id && p.blog);
+            let project = null;
+            if (index > -1) {
+                const before = adminSnapshot();
+                const { blog, ...rest } = loadedProjects[index];
+                project = rest;
+                if (rest.translations) {
+                    project.translations = Object.fromEntries(Object.entries(rest.translations).map(([lang, { blog: story, ...tr }]) => [lang, tr]));
+                }
+                loadedProjects[index] = project;
+                recordChange(`Deleted the story of "${project.title}"`, before);
+            }
+
             loadedBlogPosts = loadedBlogPosts.filter(b => b.projectId !== id);
             loadedArticles = loadedArticles.filter(a => a.id !== id);
 
             const list = document.getElementById('blog-list');
             if (list) list.innerHTML = '';
             App.initBlog();
+            return project;
         },
 
         // Custom Article Persistence
+        // Articles share blog/<id>.html with project stories, so an id used by either is taken
+        isBlogIdTaken(id) {
+            return loadedArticles.some(a => a.id === id) || loadedProjects.some(p => p.id === id);
+        },
+        // Returns the stored article, or null if it is invalid or its id is empty or taken
         addCustomArticle(data) {
+            if (!data.id || this.isBlogIdTaken(data.id)) return null;
+            if (validateFields(data, ARTICLE_SCHEMA).some(issue => issue.severity === 'error')) return null;
+
             // 1. Add to In-Memory for immediate display
             this.loadArticle(data);
 
-            // 2. Add to Persistent List (if not exists)
-            if (!customArticles.find(a => a.id === data.id)) {
-                customArticles.push(data);
-                localStorage.setItem(DB_KEYS.CUSTOM_ARTICLES, JSON.stringify(customArticles));
-            }
+            // 2. Add to Persistent List
+            const before = adminSnapshot();
+            customArticles.push(data);
+            localStorage.setItem(DB_KEYS.CUSTOM_ARTICLES, JSON.stringify(customArticles));
+            recordChange(`Added article "${data.title}"`, before);
+            return data;
         },
         deleteCustomArticle(id) {
+            const article = customArticles.find(a => a.id === id);
+            if (article) recordChange(`Deleted article "${article.title}"`, adminSnapshot());
+
             customArticles = customArticles.filter(a => a.id !== id);
             localStorage.setItem(DB_KEYS.CUSTOM_ARTICLES, JSON.stringify(customArticles));
 
@@ -180,8 +1729,34 @@ const App = (function () {
             // Refresh Admin UI
             if (document.getElementById('article-list-admin')) App.renderAdminArticles();
         },
+        // Edit a custom article in place; the id never changes, even if the title does
+        updateCustomArticle(id, changes) {
+            const index = customArticles.findIndex(a => a.id === id);
+            if (index === -1) return null;
+
+            const updated = { ...customArticles[index], ...changes, id, updatedAt: new Date().toISOString() };
+            if (validateFields(updated, ARTICLE_SCHEMA).some(issue => issue.severity === 'error')) return null;
+
+            recordChange(`Edited article "${updated.title}"`, adminSnapshot());
+            customArticles[index] = updated;
+            localStorage.setItem(DB_KEYS.CUSTOM_ARTICLES, JSON.stringify(customArticles));
+
+            const loadedIndex = loadedArticles.findIndex(a => a.id === id);
+            if (loadedIndex > -1) loadedArticles[loadedIndex] = updated;
+            return updated;
+        },
         getCustomArticles() { return customArticles; },
 
+        // Home page featured insight: { mode: 'pinned', postId } | { mode: 'latest' } | { mode: 'random' }
+        getFeaturedInsight() { return featuredInsight; },
+        setFeaturedInsight(setting) {
+            const before = adminSnapshot();
+            featuredInsight = featuredInsightSetting(setting);
+            localStorage.setItem(DB_KEYS.FEATURED_INSIGHT, JSON.stringify(featuredInsight));
+            recordChange(`Set the featured insight to ${featuredInsightDescription(featuredInsight)}`, before);
+            return featuredInsight;
+        },
+
         // Review Management
         addReview(review) {
             // Check for duplicate by content if ID is generic or check by ID if provided
@@ -194,6 +1769,7 @@ const App = (function () {
 
             if (!review.id) review.id = 'rev_' + Date.now();
 
+            recordChange(`Added review from ${review.client}`, adminSnapshot());
             customReviews.unshift(review); // Add to top
             localStorage.setItem(DB_KEYS.CUSTOM_REVIEWS, JSON.stringify(customReviews));
             return review;
@@ -201,6 +1777,9 @@ const App = (function () {
         deleteReview(id) {
             // Delete ANY review (default or custom)
             // Since we seeded defaults into customReviews, filtering works for all.
+            const review = customReviews.find(r => r.id == id);
+            if (review) recordChange(`Deleted review from ${review.client}`, adminSnapshot());
+
             customReviews = customReviews.filter(r => r.id != id); // Loose equality for number vs string ids
             localStorage.setItem(DB_KEYS.CUSTOM_REVIEWS, JSON.stringify(customReviews));
 
@@ -210,26 +1789,107 @@ const App = (function () {
             // Refresh Admin List
             if (document.getElementById('review-list-admin')) App.renderAdminReviews();
         },
+        updateReview(id, changes) {
+            const index = customReviews.findIndex(r => r.id == id); // Loose equality for number vs string ids
+            if (index === -1) return null;
+
+            const updated = { ...customReviews[index], ...changes, id: customReviews[index].id, updatedAt: new Date().toISOString() };
+            recordChange(`Edited review from ${updated.client}`, adminSnapshot());
+            customReviews[index] = updated;
+            localStorage.setItem(DB_KEYS.CUSTOM_REVIEWS, JSON.stringify(customReviews));
+            return updated;
+        },
         getReviews() {
             // All reviews are now in customReviews
             return customReviews;
         },
+        // The published js/updates.json, re-read so changes made elsewhere since page load show up
+        fetchPublishedUpdates() {
+            if (contentBundle) return Promise.resolve(publishedUpdates || readJsonFile(CONTENT_PATHS.UPDATES));
+            return fetch(CONTENT_PATHS.UPDATES, { cache: 'no-store' }).then(res => {
+                if (!res.ok) throw new Error(`${CONTENT_PATHS.UPDATES}: HTTP ${res.status}`);
+                return res.json();
+            });
+        },
+        // Differences between some published updates and the local admin state (see diffUpdates)
+        diffWithPublished(published) {
+            return diffUpdates(published, adminSnapshot());
+        },
+        // Take the published side for the differences whose keys are listed; everything else stays local
+        mergeUpdates(published, keys) {
+            const before = adminSnapshot();
+            const merged = adminSnapshot();
+            const chosen = diffUpdates(published, before).filter(d => keys.includes(d.key));
+            if (chosen.length === 0) return null;
+
+            chosen.forEach(d => {
+                if (d.kind === 'featured') {
+                    merged.featuredInsight = d.published;
+                    return;
+                }
+                if (d.kind === 'hiddenProject' || d.kind === 'hiddenBlog') {
+                    const field = `${d.kind}s`;
+                    merged[field] = merged[field].filter(id => id !== d.id);
+                    if (d.published) merged[field].push(d.id);
+                    return;
+                }
+                const field = `${d.kind}s`;
+                const index = merged[field].findIndex(item => String(item.id) === d.id);
+                if (!d.published) merged[field].splice(index, 1);
+                else if (index > -1) merged[field][index] = d.published;
+                else if (d.kind === 'review') merged[field].unshift(d.published);
+                else merged[field].push(d.published);
+            });
+
+            restoreSnapshot(merged);
+            recordChange(`Merged ${chosen.length} item(s) from the published updates`, before);
+            return chosen.length;
+        },
+        // Change journal, newest first (without the stored snapshots)
+        getHistory() {
+            return changeHistory.map(({ id, at, label }) => ({ id, at, label })).reverse();
+        },
+        // Undo the last `count` changes. Returns the states before and after, or null if there was nothing to undo
+        undo(count = 1) {
+            count = Math.min(count, changeHistory.length);
+            if (count < 1) return null;
+
+            const before = adminSnapshot();
+            const undone = changeHistory.splice(changeHistory.length - count, count);
+            restoreSnapshot(undone[0].before);
+            localStorage.setItem(DB_KEYS.HISTORY, JSON.stringify(changeHistory));
+            return { before, after: adminSnapshot() };
+        },
+        // Go back to the state from just before change `id`. The restore is journaled too, so it can be undone
+        restoreHistory(id) {
+            const entry = changeHistory.find(c => c.id === id);
+            if (!entry) return null;
+
+            const before = adminSnapshot();
+            restoreSnapshot(entry.before);
+            recordChange(`Restored the state from before: ${entry.label}`, before);
+            return { before, after: adminSnapshot() };
+        },
         getBlogPosts() {
             // Merge Project Blogs and Standalone Articles
             const projectBlogs = loadedBlogPosts.map(b => ({
-                ...b,
+                ...localized(b),
                 type: 'project',
-                isHidden: hiddenBlogIds.includes(b.projectId)
+                isHidden: hiddenBlogIds.includes(b.projectId),
+                publishState: publishState(b)
             }));
 
             const articles = loadedArticles.map(a => ({
-                ...a,
+                ...localized(a),
                 type: 'article',
                 projectId: a.projectId || null, // Preserve linked projectId if exists
-                isHidden: hiddenBlogIds.includes(a.id)
+                isHidden: hiddenBlogIds.includes(a.id),
+                publishState: publishState(a)
             }));
 
-            const allPosts = [...projectBlogs, ...articles];
+            // Drafts and posts scheduled for later only exist for a logged-in admin, who sees them as previews
+            const preview = this.isLoggedIn();
+            const allPosts = [...projectBlogs, ...articles].filter(post => preview || post.publishState === 'published');
 
             // Sort by Date (Newest First)
             return allPosts.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -247,54 +1907,308 @@ const App = (function () {
                     // Let's make it exclusive (accordion style) for better UX.
                     items.forEach(i => i.classList.remove('active'));
 
-                    if (!isActive) {
-                        item.classList.add('active');
-                    }
+                    if (!isActive) {
+                        item.classList.add('active');
+                    }
+                });
+            });
+        },
+
+        // Resolves to { ok, message }
+        login(password) { return Auth.login(password); },
+        logout() { return Auth.logout(); },
+        isLoggedIn() { return Auth.getSession() !== null; },
+        getAuthToken() {
+            const session = Auth.getSession();
+            return session ? session.token : null;
+        }
+    };
+
+    // --- ACTIONS ---
+    // Buttons and links say what they do with data-action (and data-id). One click listener on the
+    // document runs them, so no content ever ends up inside inline JavaScript.
+    const ACTIONS = {
+        'logout': () => App.logout(),
+        'export-updates': () => App.exportUpdates(),
+        'toggle-visibility': id => App.toggleVisibility(id),
+        'toggle-blog-visibility': id => App.toggleBlogVisibility(id),
+        'delete-project': id => App.deleteProject(id),
+        'edit-review': id => App.editReview(id),
+        'cancel-review-edit': () => App.editReview(null),
+        'delete-review': id => App.deleteReview(id),
+        'edit-article': id => App.editArticle(id),
+        'cancel-article-edit': () => App.editArticle(null),
+        'delete-article': id => App.deleteCustomArticle(id),
+        'undo-changes': () => App.undoChanges(document.getElementById('undo-count').value),
+        'restore-history': id => App.restoreHistory(id)
+    };
+
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target || !ACTIONS[target.dataset.action]) return;
+        e.preventDefault();
+        ACTIONS[target.dataset.action](target.dataset.id);
+    });
+
+    // --- SEARCH ---
+    // A small in-browser index over projects, project stories and articles. A query word matches
+    // an indexed word exactly, as its prefix, or (for longer words) within one or two typos.
+    // Every query word has to match; fields are weighted so title hits rank first.
+    const SEARCH_FIELDS = { title: 4, location: 3, category: 2, description: 2, details: 1, content: 1 };
+    const SEARCH_LIMIT = 8;
+    let searchIndex = null; // Built when the search box gets focus, see buildSearchIndex
+
+    function searchTokens(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+            .split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+    }
+
+    // Plain text of a Markdown body, for indexing and snippets
+    function markdownText(markdown) {
+        return String(markdown || '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/^\s*(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+            .replace(/[*_`]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function buildSearchIndex() {
+        const showHidden = Store.isLoggedIn(); // Staff can find hidden entries too
+        const docs = [];
+
+        Store.getProjects().filter(p => showHidden || !p.isHidden).forEach(p => docs.push({
+            kind: t('kind.project'),
+            url: projectPageUrl(p.id),
+            isHidden: p.isHidden,
+            fields: {
+                title: p.title,
+                location: [p.city, p.state].filter(Boolean).join(', '),
+                category: [...new Set([p.category, valueLabel('category', p.category)])].join(' '),
+                description: p.description,
+                details: [p.status, valueLabel('status', p.status), ...(p.services || []), ...(p.collaborators || [])].filter(Boolean).join(', '),
+                content: ''
+            }
+        }));
+        Store.getBlogPosts().filter(b => showHidden || !b.isHidden).forEach(b => docs.push({
+            kind: t(b.type === 'project' ? 'kind.story' : 'kind.article'),
+            url: blogPostUrl(blogPostId(b)),
+            isHidden: b.isHidden,
+            publishLabel: publishLabel(b),
+            fields: {
+                title: b.title,
+                location: '',
+                category: '',
+                description: b.excerpt,
+                details: [...new Set((b.tags || []).flatMap(tag => [tag.replace(/-/g, ' '), tagLabel(tag)]))].join(', '),
+                content: markdownText(b.content)
+            }
+        }));
+
+        docs.forEach(doc => {
+            doc.tokens = {};
+            Object.keys(SEARCH_FIELDS).forEach(field => { doc.tokens[field] = new Set(searchTokens(doc.fields[field])); });
+        });
+        const vocabulary = [...new Set(docs.flatMap(doc => Object.values(doc.tokens).flatMap(tokens => [...tokens])))];
+        return { docs, vocabulary };
+    }
+
+    // Levenshtein distance, giving up (returning max + 1) once it must exceed max
+    function editDistance(a, b, max) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // How well a query word matches an indexed word: 1 exact, 0.7 prefix, 0.4 close enough, 0 not at all
+    function termMatch(term, word) {
+        if (word === term) return 1;
+        if (term.length >= 2 && word.startsWith(term)) return 0.7;
+        const typos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (typos && Math.abs(word.length - term.length) <= typos && editDistance(term, word, typos) <= typos) return 0.4;
+        return 0;
+    }
+
+    // Ranked matches [{ doc, score, matched }], where matched lists the indexed words that were hit
+    function searchContent(query) {
+        if (!searchIndex) searchIndex = buildSearchIndex();
+        const terms = [...new Set(searchTokens(query))];
+        if (terms.length === 0) return [];
+
+        const expansions = terms.map(term => searchIndex.vocabulary
+            .map(word => [word, termMatch(term, word)])
+            .filter(([, strength]) => strength > 0));
+
+        return searchIndex.docs.map(doc => {
+            let score = 0;
+            const matched = [];
+            for (const words of expansions) {
+                let best = 0;
+                words.forEach(([word, strength]) => {
+                    Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+                        if (!doc.tokens[field].has(word)) return;
+                        best = Math.max(best, strength * weight);
+                        matched.push(word);
+                    });
                 });
+                if (best === 0) return null;
+                score += best;
+            }
+            return { doc, score, matched };
+        }).filter(Boolean).sort((a, b) => b.score - a.score).slice(0, SEARCH_LIMIT);
+    }
+
+    // Text with every matched word wrapped in <mark>
+    function highlightText(text, matched) {
+        const parts = [];
+        let last = 0;
+        text.replace(/[\p{L}\p{M}\p{N}]+/gu, (word, offset) => {
+            if (!matched.includes(searchTokens(word)[0])) return word;
+            parts.push(text.slice(last, offset), html`<mark>${word}</mark>`);
+            last = offset + word.length;
+            return word;
+        });
+        parts.push(text.slice(last));
+        return parts;
+    }
+
+    // About 160 characters around the first matched word of the description or content
+    function searchSnippet(doc, matched) {
+        const SNIPPET_LENGTH = 160;
+        const text = [doc.fields.description, doc.fields.content]
+            .find(t => t && searchTokens(t).some(word => matched.includes(word))) || doc.fields.description || '';
+
+        let first = -1;
+        text.replace(/[\p{L}\p{M}\p{N}]+/gu, (word, offset) => {
+            if (first === -1 && matched.includes(searchTokens(word)[0])) first = offset;
+            return word;
+        });
+
+        let start = Math.max(0, first - 50);
+        if (start > 0) start = text.indexOf(' ', start) + 1;
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+        return [start > 0 ? '… ' : '', highlightText(text.slice(start, end), matched), end < text.length ? ' …' : ''];
+    }
+
+    function initNavSearch(nav) {
+        const form = nav.querySelector('.nav-search-form');
+        const input = nav.querySelector('.nav-search-input');
+        const results = nav.querySelector('.search-results');
+        let debounce;
+
+        const close = () => { results.hidden = true; };
+
+        const render = () => {
+            const query = input.value.trim();
+            if (!query) return close();
+
+            Store.ready().then(() => {
+                const matches = searchContent(query);
+                results.innerHTML = matches.length ? html`${matches.map(m => html`
+                    <a href="${m.doc.url}" class="search-result">
+                        <span class="search-result-kind">${m.doc.kind}${m.doc.isHidden && ` ${t('search.hidden')}`}${m.doc.publishLabel && ` · ${m.doc.publishLabel}`}</span>
+                        <span class="search-result-title">${highlightText(m.doc.fields.title, m.matched)}</span>
+                        <span class="search-result-snippet">${searchSnippet(m.doc, m.matched)}</span>
+                    </a>
+                `)}` : html`<p class="search-empty">${t('search.empty', { query })}</p>`;
+                results.hidden = false;
             });
-        },
+        };
+
+        input.addEventListener('focus', () => { searchIndex = null; });
+        input.addEventListener('input', () => {
+            clearTimeout(debounce);
+            debounce = setTimeout(render, 150);
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const first = results.querySelector('.search-result');
+            if (first && !results.hidden) window.location.href = first.getAttribute('href');
+        });
 
-        login(password) {
-            if (password === 'admin123') {
-                localStorage.setItem(DB_KEYS.AUTH, 'true');
-                return true;
+        // Arrow keys move between results, Escape closes the list
+        form.addEventListener('keydown', (e) => {
+            const items = Array.from(results.querySelectorAll('.search-result'));
+            const index = items.indexOf(document.activeElement);
+            if (e.key === 'Escape') {
+                close();
+                input.focus();
+            } else if (e.key === 'ArrowDown' && items.length) {
+                e.preventDefault();
+                items[Math.min(index + 1, items.length - 1)].focus();
+            } else if (e.key === 'ArrowUp' && items.length) {
+                e.preventDefault();
+                if (index <= 0) input.focus();
+                else items[index - 1].focus();
             }
-            return false;
-        },
-        logout() { localStorage.removeItem(DB_KEYS.AUTH); },
-        isLoggedIn() { return localStorage.getItem(DB_KEYS.AUTH) === 'true'; }
-    };
+        });
+        document.addEventListener('click', (e) => {
+            if (!form.contains(e.target)) close();
+        });
+    }
 
     // --- COMPONENTS ---
     function renderNav() {
         const nav = document.createElement('nav');
         nav.className = 'navbar';
 
-        nav.innerHTML = `
+        nav.innerHTML = html`
             <div class="container flex justify-between items-center">
                 <a href="index.html" class="logo-link">
                     <img src="images/nexhaus_logo.png" alt="NexHaus" style="height: 40px; width: auto;">
                 </a>
                 
-                <button class="menu-toggle" aria-label="Toggle Navigation">
+                <button class="menu-toggle" aria-label="${t('nav.menu')}">
                     <span></span>
                     <span></span>
                     <span></span>
                 </button>
 
                 <ul class="nav-links">
-                    <li><a href="index.html" class="nav-link">HOME</a></li>
-                    <li><a href="projects.html" class="nav-link">PROJECTS</a></li>
-                    <li><a href="ethosphere.html" class="nav-link">ETHOSPHERE</a></li>
-                    <li><a href="about.html" class="nav-link">ABOUT</a></li>
-                    <li><a href="index.html#contact" class="nav-link">CONTACT</a></li>
-                    ${Store.isLoggedIn()
-                ? '<li><a href="#" onclick="App.logout()" class="nav-link" style="color: red;">LOGOUT</a></li>'
-                : ''}
+                    <li><a href="index.html" class="nav-link">${t('nav.home')}</a></li>
+                    <li><a href="projects.html" class="nav-link">${t('nav.projects')}</a></li>
+                    <li><a href="ethosphere.html" class="nav-link">${t('nav.ethosphere')}</a></li>
+                    <li><a href="about.html" class="nav-link">${t('nav.about')}</a></li>
+                    <li><a href="index.html#contact" class="nav-link">${t('nav.contact')}</a></li>
+                    <li class="nav-search">
+                        <form class="nav-search-form" role="search">
+                            <input type="search" class="nav-search-input" placeholder="${t('search.placeholder')}" aria-label="${t('search.label')}" autocomplete="off">
+                            <div class="search-results" hidden></div>
+                        </form>
+                    </li>
+                    ${!document.documentElement.hasAttribute('data-english-only') && html`
+                        <li class="nav-lang">
+                            <select class="nav-lang-select" aria-label="${t('nav.language')}">
+                                ${Object.entries(LANGUAGES).map(([code, name]) => html`<option value="${code}" lang="${code}" ${code === LANGUAGE && 'selected'}>${name}</option>`)}
+                            </select>
+                        </li>
+                    `}
+                    ${Store.isLoggedIn() && html`<li><a href="#" data-action="logout" class="nav-link" style="color: red;">${t('nav.logout')}</a></li>`}
                 </ul>
             </div>
         `;
+        // A pre-rendered page (tools/prerender.js) already has a copy; replace it so the listeners below are live
+        document.querySelector('body > nav.navbar')?.remove();
         document.body.prepend(nav);
+        initNavSearch(nav);
+
+        // Reload in the chosen language; the choice is remembered for the rest of the site
+        const languageSelect = nav.querySelector('.nav-lang-select');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', () => {
+                localStorage.setItem(DB_KEYS.LANGUAGE, languageSelect.value);
+                window.location.href = languageUrl(languageSelect.value);
+            });
+        }
 
         // Mobile Menu Logic
         const toggle = nav.querySelector('.menu-toggle');
@@ -335,40 +2249,193 @@ const App = (function () {
         footer.style.padding = '4rem 0';
         footer.style.borderTop = '1px solid var(--border-color)';
         footer.style.marginTop = '4rem';
-        footer.innerHTML = `
+        footer.innerHTML = html`
             <div class="container">
                 <div class="flex justify-between" style="margin-bottom: 2rem;">
                     <div>
                         <h4 style="margin-bottom: 1rem;">NEXHAUS</h4>
-                        <p class="text-small">© 2026 NexHaus Architects.<br>All rights reserved.</p>
+                        <p class="text-small">© 2026 NexHaus Architects.<br>${t('footer.rights')}</p>
                     </div>
                     <div class="flex gap-2 text-small">
-                        <a href="blog.html">Blog</a>
-                        <a href="faq.html">FAQ</a>
+                        <a href="blog.html">${t('footer.blog')}</a>
+                        <a href="faq.html">${t('footer.faq')}</a>
                         <a href="https://www.instagram.com/nexhaus_india/" target="_blank">Instagram</a>
                         <a href="#">LinkedIn</a>
-                        <a href="admin.html">Admin</a>
+                        <a href="admin.html">${t('footer.admin')}</a>
                     </div>
                 </div>
                 <div style="border-top: 1px solid #eee; padding-top: 1.5rem; color: var(--secondary-text); font-size: 0.75rem; line-height: 1.6;">
-                    <p>Premier architectural services for School, College, Commercial, Public buildings, Residence, Hospitality, and Hospitals. <br> Serving clients across Kerala, Tamil Nadu, and Karnataka.</p>
+                    <p>${t('footer.services')} <br> ${t('footer.region')}</p>
                 </div>
             </div>
         `;
+        document.querySelector('body > footer')?.remove();
         document.body.appendChild(footer);
     }
 
+    // --- PAGE META (Link Previews) ---
+    // Where the site is published; canonical links, previews and tools/build-feeds.js need absolute URLs
+    const SITE = {
+        name: 'NexHaus Architects',
+        url: 'https://nexhaus.com/',
+        image: 'images/nexhaus_logo.png'
+    };
+
+    function absoluteUrl(path) {
+        return new URL(path, SITE.url).href;
+    }
+
+    // Title, description, canonical link and Open Graph / Twitter card tags for a page that shows one
+    // project or post. The canonical URL is the pre-rendered page, so ?id= links count as the same page
+    function setPageMeta({ title, description, image, path }) {
+        const setTag = (name, selector, attrs) => {
+            let el = document.head.querySelector(selector);
+            if (!el) {
+                el = document.createElement(name);
+                document.head.appendChild(el);
+            }
+            Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        };
+        const setMeta = (attr, key, content) => setTag('meta', `meta[${attr}="${key}"]`, { [attr]: key, content });
+
+        const fullTitle = `${title} | ${SITE.name}`;
+        const url = absoluteUrl(path);
+        const imageUrl = absoluteUrl(image || SITE.image);
+
+        document.title = fullTitle;
+        setMeta('name', 'description', description);
+        setTag('link', 'link[rel="canonical"]', { rel: 'canonical', href: url });
+        setMeta('property', 'og:type', 'article');
+        setMeta('property', 'og:site_name', SITE.name);
+        setMeta('property', 'og:title', title);
+        setMeta('property', 'og:description', description);
+        setMeta('property', 'og:url', url);
+        setMeta('property', 'og:image', imageUrl);
+        setMeta('name', 'twitter:card', 'summary_large_image');
+        setMeta('name', 'twitter:title', title); // Same as og:title; og:site_name names the site
+        setMeta('name', 'twitter:description', description);
+        setMeta('name', 'twitter:image', imageUrl);
+    }
+
+    // --- STRUCTURED DATA (JSON-LD) ---
+    // schema.org descriptions of what a page shows, for rich search results. tools/prerender.js
+    // checks every block against tools/structured-data.js when it writes the pages, and
+    // test/structured-data.test.js runs these builders through the same checks.
+
+    // The firm described in full by the static block in index.html, referred to by its @id
+    const ORGANIZATION = { '@type': 'ArchitectureFirm', '@id': absoluteUrl('#organization'), name: SITE.name, url: SITE.url };
+
+    function projectJsonLd(project) {
+        const place = (project.city || project.state) && {
+            '@type': 'Place',
+            name: [project.city, project.state].filter(Boolean).join(', '),
+            address: {
+                '@type': 'PostalAddress',
+                ...(project.city && { addressLocality: project.city }),
+                ...(project.state && { addressRegion: project.state })
+            }
+        };
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'CreativeWork',
+            '@id': absoluteUrl(projectPageUrl(project.id, true)),
+            url: absoluteUrl(projectPageUrl(project.id, true)),
+            name: project.title,
+            description: project.description,
+            image: galleryEntries(project).map(image => absoluteUrl(image.src)),
+            genre: project.category,
+            creator: ORGANIZATION,
+            ...(project.year && { dateCreated: String(project.year) }),
+            ...(place && { contentLocation: place }),
+            ...(project.collaborators?.length && { contributor: project.collaborators.map(name => ({ '@type': 'Organization', name })) })
+        };
+    }
+
+    // `id` is the blog page id: the project id for a project story, the article id otherwise
+    function blogPostingJsonLd(post, id) {
+        const url = absoluteUrl(blogPostUrl(id, true));
+        const date = FORMAT_CHECKS.date(post.date) ? null : post.date;
+        const project = post.projectId && Store.getProjects().find(p => p.id === post.projectId);
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            '@id': url,
+            url,
+            mainEntityOfPage: url,
+            headline: post.title,
+            ...(post.excerpt && { description: post.excerpt }),
+            image: absoluteUrl(post.image || SITE.image),
+            ...(date && { datePublished: date }),
+            ...(post.updatedAt && { dateModified: post.updatedAt }),
+            author: ORGANIZATION,
+            publisher: ORGANIZATION,
+            ...(post.tags?.length && { keywords: post.tags.join(', ') }),
+            ...(project && { about: { '@id': absoluteUrl(projectPageUrl(project.id, true)) } })
+        };
+    }
+
+    // Every review, plus an AggregateRating once any of them has a star rating
+    function reviewsJsonLd(reviews) {
+        const rated = reviews.filter(r => r.rating);
+        const graph = reviews.map(r => ({
+            '@type': 'Review',
+            reviewBody: r.text,
+            author: { '@type': 'Person', name: r.client, ...(r.role && { description: r.role }) },
+            itemReviewed: ORGANIZATION,
+            ...(r.rating && { reviewRating: { '@type': 'Rating', ratingValue: r.rating, bestRating: 5, worstRating: 1 } })
+        }));
+        if (rated.length > 0) {
+            graph.push({
+                '@type': 'AggregateRating',
+                itemReviewed: ORGANIZATION,
+                ratingValue: Math.round(rated.reduce((sum, r) => sum + r.rating, 0) / rated.length * 10) / 10,
+                reviewCount: rated.length,
+                bestRating: 5,
+                worstRating: 1
+            });
+        }
+        return graph.length > 0 && { '@context': 'https://schema.org', '@graph': graph };
+    }
+
+    // One generated block per kind ("project", "post", "reviews"), replaced when the page re-renders.
+    // "<" is escaped so text such as "</script>" in content can't end the block early
+    function setJsonLd(kind, data) {
+        let script = document.head.querySelector(`script[type="application/ld+json"][data-kind="${kind}"]`);
+        if (!data) {
+            script?.remove();
+            return;
+        }
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.kind = kind;
+            document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    }
+
     // --- APP LOGIC ---
     function initHero() {
         const projects = Store.getProjects().slice(0, 5);
         const slideContainer = document.querySelector('.hero-slideshow');
         if (!slideContainer || projects.length === 0) return;
 
+        slideContainer.innerHTML = ''; // Drop pre-rendered slides
         projects.forEach((p, index) => {
             const slide = document.createElement('div');
             slide.className = `slide ${index === 0 ? 'active' : ''}`;
-            slide.style.backgroundImage = `url('${p.image}')`;
             slideContainer.appendChild(slide);
+
+            // Show the blurred placeholder until a screen-sized copy has loaded
+            const info = responsiveImages[p.image];
+            if (!info) {
+                slide.style.backgroundImage = cssUrl(p.image);
+                return;
+            }
+            slide.style.backgroundImage = cssUrl(info.placeholder);
+            const full = new Image();
+            full.addEventListener('load', () => { slide.style.backgroundImage = cssUrl(full.src); });
+            full.src = responsiveSrc(p.image, window.innerWidth * (window.devicePixelRatio || 1));
         });
 
         const content = document.querySelector('.hero-content h1');
@@ -392,8 +2459,242 @@ const App = (function () {
     }
 
 
+    // --- RESPONSIVE IMAGES ---
+    // tools/build-images.js writes AVIF/WebP copies of each content image in several widths, plus a
+    // blurred placeholder. Images without generated copies fall back to the original file.
+    const IMAGE_TYPES = [['avif', 'image/avif'], ['webp', 'image/webp']];
+
+    // images/ira/ira_01.jpg -> images/generated/ira/ira_01-960.webp (same rule as tools/build-images.js)
+    function generatedImagePath(src, width, format) {
+        return src.replace(/^images\//, 'images/generated/').replace(/\.[^./]+$/, `-${width}.${format}`);
+    }
+
+    // The smallest generated WebP at least width pixels wide, for CSS backgrounds
+    function responsiveSrc(src, width) {
+        const info = responsiveImages[src];
+        if (!info) return src;
+        const best = info.widths.find(w => w >= width) || info.widths[info.widths.length - 1];
+        return generatedImagePath(src, best, 'webp');
+    }
+
+    // A lazy-loaded <img>, wrapped in <picture> with srcset sources when generated sizes exist.
+    // sizes is the image's display width (as in the sizes attribute); extra holds other attributes.
+    function imageHtml(src, { alt = '', className = '', style = '', sizes = '100vw', extra = '' } = {}) {
+        const info = responsiveImages[src];
+        if (!info) return html`<img src="${src}" alt="${alt}" class="${className}" style="${style}" ${extra} loading="lazy">`;
+
+        const srcset = (format) => info.widths.map(w => `${generatedImagePath(src, w, format)} ${w}w`).join(', ');
+        return html`<picture>${IMAGE_TYPES.map(([format, type]) => html`<source type="${type}" srcset="${srcset(format)}" sizes="${sizes}">`)}<img src="${src}" alt="${alt}" class="${className} has-placeholder" style="${style} --placeholder: ${cssUrl(info.placeholder)};" width="${info.width}" height="${info.height}" ${extra} loading="lazy" decoding="async"></picture>`;
+    }
+
+    // Drop the placeholder once the real image is in (it would show through transparent PNGs)
+    document.addEventListener('load', (e) => {
+        if (e.target.classList && e.target.classList.contains('has-placeholder')) e.target.classList.add('is-loaded');
+    }, true);
+
+    // --- LIGHTBOX ---
+    // Any image in a project gallery or a story/article body opens full screen, with the other images
+    // of the same gallery (or body) as the set to step through. Arrow keys, swipe and the side buttons
+    // move between images; double-click/tap, the wheel, pinch or +/- zoom; dragging pans a zoomed image.
+    const LIGHTBOX_SETS = '.project-gallery, .project-page-gallery, .blog-body';
+    const LIGHTBOX_MAX_ZOOM = 4;
+    let lightbox = null; // { el, images, index, scale, x, y, opener }, see openLightbox
+
+    function lightboxCaption(img) {
+        if (img.dataset.caption) return img.dataset.caption;
+        const figure = img.closest('figure');
+        const caption = figure && figure.querySelector('figcaption');
+        return caption ? caption.textContent : '';
+    }
+
+    function createLightboxElement() {
+        const el = document.createElement('div');
+        el.className = 'lightbox';
+        el.setAttribute('role', 'dialog');
+        el.setAttribute('aria-modal', 'true');
+        el.setAttribute('aria-label', t('lightbox.label'));
+        el.innerHTML = html`
+            <div class="lightbox-stage"><img class="lightbox-image" alt="" draggable="false"></div>
+            <button class="lightbox-btn lightbox-close" aria-label="${t('common.close')}">&times;</button>
+            <button class="lightbox-btn lightbox-prev" aria-label="${t('lightbox.prev')}">&lsaquo;</button>
+            <button class="lightbox-btn lightbox-next" aria-label="${t('lightbox.next')}">&rsaquo;</button>
+            <div class="lightbox-footer">
+                <p class="lightbox-caption"></p>
+                <span class="lightbox-counter" aria-live="polite"></span>
+            </div>
+        `;
+        document.body.appendChild(el);
+
+        el.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+        el.querySelector('.lightbox-prev').addEventListener('click', () => showLightboxImage(lightbox.index - 1));
+        el.querySelector('.lightbox-next').addEventListener('click', () => showLightboxImage(lightbox.index + 1));
+        el.addEventListener('keydown', onLightboxKey);
+        attachLightboxGestures(el.querySelector('.lightbox-stage'));
+        return el;
+    }
+
+    function openLightbox(img) {
+        const set = img.closest(LIGHTBOX_SETS);
+        const images = Array.from(set.querySelectorAll('img'));
+        const el = (lightbox && lightbox.el) || createLightboxElement();
+
+        lightbox = { el, images, index: 0, scale: 1, x: 0, y: 0, opener: document.activeElement };
+        el.classList.toggle('is-single', images.length < 2);
+        el.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        showLightboxImage(images.indexOf(img));
+        el.querySelector('.lightbox-close').focus();
+    }
+
+    function closeLightbox() {
+        if (!lightbox) return;
+        lightbox.el.classList.remove('active');
+        document.body.style.overflow = '';
+        if (lightbox.opener && lightbox.opener.focus) lightbox.opener.focus();
+        lightbox.opener = null;
+    }
+
+    function showLightboxImage(index) {
+        const { el, images } = lightbox;
+        lightbox.index = (index + images.length) % images.length;
+        const source = images[lightbox.index];
+
+        // Full-size original, or the generated sizes when there are some
+        const image = el.querySelector('.lightbox-image');
+        const picture = source.closest('picture');
+        const webp = picture && picture.querySelector('source[type="image/webp"]');
+        image.srcset = webp ? webp.srcset : '';
+        image.sizes = '100vw';
+        image.src = source.getAttribute('src');
+        image.alt = source.alt;
+        el.querySelector('.lightbox-caption').textContent = lightboxCaption(source);
+        el.querySelector('.lightbox-counter').textContent = `${lightbox.index + 1} / ${images.length}`;
+        zoomLightbox(1);
+    }
+
+    // Zoom to scale around a point of the stage (its centre by default), keeping that point in place
+    function zoomLightbox(scale, originX = 0, originY = 0) {
+        const next = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, scale));
+        const ratio = next / lightbox.scale;
+        lightbox.x = next === 1 ? 0 : originX - (originX - lightbox.x) * ratio;
+        lightbox.y = next === 1 ? 0 : originY - (originY - lightbox.y) * ratio;
+        lightbox.scale = next;
+        applyLightboxTransform();
+    }
+
+    function applyLightboxTransform() {
+        const image = lightbox.el.querySelector('.lightbox-image');
+        image.style.transform = `translate(${lightbox.x}px, ${lightbox.y}px) scale(${lightbox.scale})`;
+        lightbox.el.classList.toggle('is-zoomed', lightbox.scale > 1);
+    }
+
+    function onLightboxKey(e) {
+        if (e.key === 'Escape') closeLightbox();
+        else if (e.key === 'ArrowLeft') showLightboxImage(lightbox.index - 1);
+        else if (e.key === 'ArrowRight') showLightboxImage(lightbox.index + 1);
+        else if (e.key === '+' || e.key === '=') zoomLightbox(lightbox.scale * 1.5);
+        else if (e.key === '-') zoomLightbox(lightbox.scale / 1.5);
+        else if (e.key === 'Tab') {
+            // Keep focus inside the dialog
+            const buttons = Array.from(lightbox.el.querySelectorAll('button')).filter(b => b.offsetParent !== null || b === document.activeElement);
+            const first = buttons[0];
+            const last = buttons[buttons.length - 1];
+            if (e.shiftKey && document.activeElement === first) last.focus();
+            else if (!e.shiftKey && document.activeElement === last) first.focus();
+            else return;
+        } else return;
+        e.preventDefault();
+    }
+
+    // Pointer gestures on the stage: one pointer pans (zoomed) or swipes (not zoomed), two pointers pinch
+    function attachLightboxGestures(stage) {
+        const pointers = new Map();
+        let start = null; // Gesture start: { x, y, scale, panX, panY, distance }
+        let lastTap = 0;
+
+        const centre = (x, y) => {
+            const rect = stage.getBoundingClientRect();
+            return [x - rect.left - rect.width / 2, y - rect.top - rect.height / 2];
+        };
+        const distance = () => {
+            const [a, b] = Array.from(pointers.values());
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+        const begin = () => {
+            const [p] = Array.from(pointers.values());
+            start = { x: p.x, y: p.y, scale: lightbox.scale, panX: lightbox.x, panY: lightbox.y, distance: pointers.size > 1 ? distance() : 0, moved: false };
+        };
+
+        stage.addEventListener('pointerdown', (e) => {
+            stage.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            begin();
+        });
+
+        stage.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId) || !start) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            if (Math.abs(dx) > 5 || Math.abs(dy) > 5) start.moved = true;
+
+            if (pointers.size > 1) {
+                const points = Array.from(pointers.values());
+                const [ox, oy] = centre((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+                zoomLightbox(start.scale * distance() / start.distance, ox, oy);
+                start.moved = true;
+            } else if (lightbox.scale > 1) {
+                lightbox.x = start.panX + dx;
+                lightbox.y = start.panY + dy;
+                applyLightboxTransform();
+            }
+        });
+
+        const end = (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.delete(e.pointerId);
+            if (pointers.size > 0) return begin();
+
+            const dx = e.clientX - start.x;
+            if (!start.moved) {
+                // Double tap (or double click) toggles zoom at that point
+                const now = Date.now();
+                if (now - lastTap < 300) {
+                    const [ox, oy] = centre(e.clientX, e.clientY);
+                    zoomLightbox(lightbox.scale > 1 ? 1 : 2.5, ox, oy);
+                    lastTap = 0;
+                } else {
+                    lastTap = now;
+                }
+            } else if (lightbox.scale === 1 && Math.abs(dx) > 50 && start.distance === 0) {
+                showLightboxImage(lightbox.index + (dx < 0 ? 1 : -1));
+            }
+            start = null;
+        };
+        stage.addEventListener('pointerup', end);
+        stage.addEventListener('pointercancel', end);
+
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const [ox, oy] = centre(e.clientX, e.clientY);
+            zoomLightbox(lightbox.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), ox, oy);
+        }, { passive: false });
+    }
+
+    document.addEventListener('click', (e) => {
+        const img = e.target.closest('img');
+        if (!img || !img.closest(LIGHTBOX_SETS) || img.closest('.lightbox')) return;
+        openLightbox(img);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.matches('img') || !e.target.closest(LIGHTBOX_SETS)) return;
+        e.preventDefault();
+        openLightbox(e.target);
+    });
+
     // --- SHARED EXPANSION LOGIC ---
-    function attachProjectExpanders(gridSelector) {
+    // onToggle(id) is told which project is now open (null once closed), e.g. to keep the URL in sync
+    function attachProjectExpanders(gridSelector, onToggle) {
         const grid = document.querySelector(gridSelector);
         if (!grid) return;
 
@@ -418,88 +2719,160 @@ const App = (function () {
                 if (existing) {
                     if (existing.dataset.projectId == id) {
                         closeExpander(existing);
+                        if (onToggle) onToggle(null);
                         return;
                     }
                     existing.remove();
                 }
 
-                createProjectExpander(grid, clickedCard, project);
+                createProjectExpander(grid, clickedCard, project, onToggle && (() => onToggle(null)));
+                if (onToggle) onToggle(project.id);
             });
         });
     }
 
-    function createProjectExpander(grid, clickedCard, project) {
-        const cards = Array.from(grid.querySelectorAll('.project-card'));
-        const visibleCards = cards.filter(c => c.style.display !== 'none');
+    // Gallery entries as { src, alt, caption, credit, focus, cover }, whichever form they were written in
+    // A project without a gallery shows the images in its cover image's folder
+    function galleryEntries(project) {
+        const discovered = folderImages(project.image);
+        const gallery = project.gallery && project.gallery.length > 0 ? project.gallery
+            : discovered.length > 0 ? discovered : [project.image];
+        return gallery.map(entry => typeof entry === 'string' ? { src: entry } : entry);
+    }
 
-        const clickedIndex = visibleCards.indexOf(clickedCard);
-        const rowTop = clickedCard.offsetTop;
+    function galleryAlt(project, image, index, count) {
+        return image.alt || t('gallery.alt', { title: project.title, n: index + 1, count });
+    }
 
-        let insertAfterCard = clickedCard;
+    // Caption and photo credit as one line
+    function galleryCaption(image) {
+        return [image.caption, image.credit && t('gallery.credit', { credit: image.credit })].filter(Boolean).join(' — ');
+    }
 
-        for (let i = clickedIndex; i < visibleCards.length; i++) {
-            if (visibleCards[i].offsetTop > rowTop) {
-                break;
-            }
-            insertAfterCard = visibleCards[i];
-        }
+    // object-position for a cropped image, from its focal point
+    function focusStyle(image) {
+        return image && image.focus ? `object-position: ${image.focus};` : '';
+    }
 
-        const expander = document.createElement('div');
-        expander.className = 'project-details-expander';
-        expander.dataset.projectId = project.id;
+    function coverEntry(project) {
+        return galleryEntries(project).find(image => image.src === project.image) || { src: project.image };
+    }
 
-        // Gallery Logic
-        let images = project.gallery && project.gallery.length > 0 ? project.gallery : [project.image];
+    // Inner markup of a project expander; also used by the admin editor preview
+    function projectExpanderHtml(project) {
+        const images = galleryEntries(project);
 
-        // Fallback hardcoded logic
-        if (!project.gallery || project.gallery.length === 0) {
-            if (project.title.includes('Maya')) images = ['images/maya/maya_01.jpg', 'images/maya/maya_02.jpg', 'images/maya/maya_03.jpg', 'images/maya/maya_04.jpg', 'images/maya/maya_05.jpg'];
-            else if (project.title.includes('La Casa Blanca')) images = ['images/lacasablanca/lcb_01.jpg', 'images/lacasablanca/lcb_02.jpg', 'images/lacasablanca/lcb_03.jpg', 'images/lacasablanca/lcb_04.jpg'];
-            else if (project.title.includes('Nisarga')) images = ['images/nisarga/nisarga_01.png', 'images/nisarga/nisarga_02.png', 'images/nisarga/nisarga_03.jpg'];
-            else if (project.title.includes('Ira')) images = ['images/ira/ira_01.jpg', 'images/ira/ira_02.jpg', 'images/ira/ira_03.jpg', 'images/ira/ira_04.jpg'];
-            else if (project.title.includes('Finecraft')) images = ['images/finecraft/fc_01.jpg', 'images/finecraft/fc_02.jpg', 'images/finecraft/fc_03.jpg'];
-            else if (project.title.includes('Ruhaan')) images = ['images/ruhaan/ruhaan_02.jpg', 'images/ruhaan/ruhaan_03.jpg', 'images/ruhaan/ruhaan_04.jpg'];
-        }
+        const galleryHtml = images.map((image, index) => html`
+             <div class="gallery-item">${imageHtml(image.src, { alt: galleryAlt(project, image, index, images.length), sizes: '(max-width: 768px) 100vw, 60vw', extra: html`data-caption="${galleryCaption(image)}" tabindex="0"` })}</div>
+         `);
 
-        const galleryHtml = images.map(img => `
-             <div class="gallery-item"><img src="${img}" loading="lazy"></div>
-         `).join('');
+        // Link to the story, if there is one and it isn't hidden
+        const blogPost = project.blog && Store.getBlogPosts().find(b => b.projectId === project.id);
+        const storyLink = blogPost && !blogPost.isHidden && html`
+                <a href="${blogPostUrl(project.id)}" class="hero-btn" style="margin-top: 0; background: var(--text-color); color: #fff; font-size: 0.8rem; padding: 0.8rem 1.5rem;">
+                    ${t('expander.readStory')} &rarr;
+                </a>
+         `;
+
+        // Category and collection are already shown on the card
+        const headerSpecs = projectSpecs(project).filter(([key]) => key !== 'category' && key !== 'collection');
 
-        expander.innerHTML = `
+        return html`
              <div class="expander-header">
                  <div>
                      <h2 style="font-weight: 300; margin-bottom: 0.5rem;">${project.title}</h2>
-                     <p class="text-uppercase text-small">${project.category}</p>
+                     <p class="text-uppercase text-small">${valueLabel('category', project.category)}</p>
                      <p style="margin-top: 1rem; max-width: 600px; color: var(--secondary-text);">${project.description}</p>
+                     ${headerSpecs.length > 0 && html`
+                         <dl class="project-specs expander-specs">
+                             ${headerSpecs.map(([key, value]) => html`<div><dt>${t(`spec.${key}`)}</dt><dd>${value}</dd></div>`)}
+                         </dl>
+                     `}
                  </div>
-                 <button class="expander-close">&times;</button>
+                 <button class="expander-close" aria-label="${t('common.close')}">&times;</button>
              </div>
              <div class="project-gallery">
                  ${galleryHtml}
              </div>
-             ${(() => {
-                // Check if blog exists and is NOT hidden
-                if (!project.blog) return '';
-
-                // We need to check hidden status. 
-                // Since we are inside main.js and Store is in scope (or accessible globally via App/Store closure if designed right, 
-                // but here Store is private inside IIFE. However, createProjectExpander is inside the IIFE too).
-                // Wait, Store is defined above in the same scope. Perfect.
-
-                const blogPost = Store.getBlogPosts().find(b => b.projectId === project.id);
-                // If blogPost exists and isHidden is false
-                if (blogPost && !blogPost.isHidden) {
-                    return `
-                        <div style="margin-top: 2rem; text-align: right;">
-                            <a href="blog.html?id=${project.id}" class="hero-btn" style="margin-top: 0; background: var(--text-color); color: #fff; font-size: 0.8rem; padding: 0.8rem 1.5rem;">
-                                Read Project Story &rarr;
-                            </a>
-                        </div>
-                     `;
-                }
-                return '';
-            })()}
+             <div style="margin-top: 2rem; display: flex; justify-content: flex-end; align-items: center; gap: 2rem; flex-wrap: wrap;">
+                 <a href="${projectPageUrl(project.id)}" class="text-small text-uppercase" style="text-decoration: underline; font-weight: 600;">${t('expander.viewPage')}</a>
+                 ${storyLink}
+             </div>
+         `;
+    }
+
+    // Inner markup of a project story expander on blog.html; also used by the admin editor preview.
+    // A gallery image goes in after every second block of text (headings don't count), and the
+    // related posts (see relatedPosts) are listed at the end.
+    function storyExpanderHtml(project, post, related = []) {
+        const blocks = markdownBlocks(post.content);
+        const images = galleryEntries(project);
+
+        const body = [];
+        let textBlocks = 0;
+        let imgIndex = 0;
+        blocks.forEach((block, index) => {
+            body.push(rawHtml(block.html));
+            if (block.type === 'heading') return;
+
+            textBlocks++;
+            if (textBlocks % 2 === 0 && index !== blocks.length - 1) {
+                const image = images[imgIndex % images.length];
+                const caption = galleryCaption(image);
+                body.push(html`<div class="blog-inline-image-container fade-in">${imageHtml(image.src, { alt: image.alt || t('gallery.storyAlt', { title: project.title }), className: 'blog-inline-image', style: focusStyle(image), sizes: '(max-width: 800px) 100vw, 800px', extra: html`data-caption="${caption}" tabindex="0"` })}</div>`);
+                if (caption) body.push(html`<p class="blog-inline-caption">${caption}</p>`);
+                imgIndex++;
+            }
+        });
+
+        return html`
+            <div class="expander-content" style="max-width: 800px; margin: 0 auto; padding: 4rem 0;">
+                 <button class="expander-close" style="float: right;" aria-label="${t('common.close')}">&times;</button>
+                 <span class="text-uppercase text-small" style="display:block; margin-bottom: 1rem;">${post.date}</span>
+                 <h1 style="font-size: 2.5rem; margin-bottom: 2rem;">${post.title}</h1>
+                 <div class="blog-body">${body}</div>
+                 ${tagLinksHtml(post.tags)}
+                 ${relatedReadingHtml(related)}
+            </div>
+         `;
+    }
+
+    // Inner markup of a standalone article expander; also used by the admin article preview.
+    // related: posts for the "related reading" list at the end (see relatedPosts)
+    function articleExpanderHtml(post, related = []) {
+        return html`
+            <div class="expander-content" style="max-width: 800px; margin: 0 auto; padding: 4rem 0;">
+                 <button class="expander-close" style="float: right;" aria-label="${t('common.close')}">&times;</button>
+                 ${post.image && imageHtml(post.image, { style: 'width:100%; height: auto; margin-bottom: 2rem; border-radius: 4px;', sizes: '(max-width: 800px) 100vw, 800px' })}
+                 <span class="text-uppercase text-small" style="display:block; margin-bottom: 1rem;">${post.date}</span>
+                 <h1 style="font-size: 2.5rem; margin-bottom: 2rem;">${post.title}</h1>
+                 <div class="blog-body">${renderMarkdown(post.content)}</div>
+                 ${tagLinksHtml(post.tags)}
+                 ${relatedReadingHtml(related)}
+            </div>
          `;
+    }
+
+    function createProjectExpander(grid, clickedCard, project, onClose) {
+        const cards = Array.from(grid.querySelectorAll('.project-card'));
+        const visibleCards = cards.filter(c => c.style.display !== 'none');
+
+        const clickedIndex = visibleCards.indexOf(clickedCard);
+        const rowTop = clickedCard.offsetTop;
+
+        let insertAfterCard = clickedCard;
+
+        for (let i = clickedIndex; i < visibleCards.length; i++) {
+            if (visibleCards[i].offsetTop > rowTop) {
+                break;
+            }
+            insertAfterCard = visibleCards[i];
+        }
+
+        const expander = document.createElement('div');
+        expander.className = 'project-details-expander';
+        expander.dataset.projectId = project.id;
+        expander.innerHTML = projectExpanderHtml(project);
 
         if (insertAfterCard.nextSibling) {
             grid.insertBefore(expander, insertAfterCard.nextSibling);
@@ -517,7 +2890,10 @@ const App = (function () {
         const gallery = expander.querySelector('.project-gallery');
         makeDraggable(gallery);
 
-        expander.querySelector('.expander-close').addEventListener('click', () => closeExpander(expander));
+        expander.querySelector('.expander-close').addEventListener('click', () => {
+            closeExpander(expander);
+            if (onClose) onClose();
+        });
     }
 
     function closeExpander(el) {
@@ -525,56 +2901,420 @@ const App = (function () {
         setTimeout(() => el.remove(), 500);
     }
 
+    function projectCardHtml(p, index) {
+        return html`
+                <div class="project-card fade-in" data-id="${p.id}" data-index="${index}">
+                    ${imageHtml(p.image, { alt: p.title, className: 'project-image', style: focusStyle(coverEntry(p)), sizes: '(max-width: 768px) 100vw, 33vw' })}
+                    <div class="project-info">
+                        <h3>${p.title}</h3>
+                        <p class="text-small text-uppercase">${valueLabel('category', p.category)}</p>
+                    </div>
+                </div>
+            `;
+    }
+
+    // --- PROJECT FILTERS ---
+    // Facet values and counts come from the project data; the chosen filters live in the query string,
+    // so a view like projects.html?category=Residential&state=Kerala can be linked to.
+    // Labels are UI_STRINGS keys; values stay English and are shown with valueLabel.
+    const PROJECT_FACETS = [
+        { param: 'category', label: 'filters.category', value: p => p.category },
+        { param: 'state', label: 'filters.state', value: p => p.state },
+        { param: 'year', label: 'filters.year', value: p => projectYear(p) },
+        { param: 'status', label: 'filters.status', value: p => p.status }
+    ];
+
+    const PROJECT_FLAGS = [
+        { param: 'ethosphere', label: 'collection.ethosphere', value: p => !!p.isEthosphere },
+        { param: 'conceptual', label: 'collection.conceptual', value: p => !!p.isConceptual }
+    ];
+
+    // Undated projects always sort last
+    const byDate = (direction) => (a, b) => {
+        const da = projectDate(a), db = projectDate(b);
+        if (!da || !db) return (da ? 0 : 1) - (db ? 0 : 1);
+        return direction * da.localeCompare(db);
+    };
+
+    const PROJECT_SORTS = {
+        featured: { label: 'sort.featured', compare: null }, // Manifest order
+        newest: { label: 'sort.newest', compare: byDate(-1) },
+        oldest: { label: 'sort.oldest', compare: byDate(1) },
+        title: { label: 'sort.title', compare: (a, b) => a.title.localeCompare(b.title) }
+    };
+
+    // Projects are dated by completion year, or by their story when the year isn't known
+    function projectDate(p) {
+        if (p.year) return String(p.year);
+        return p.blog && p.blog.date ? p.blog.date : '';
+    }
+
+    function projectYear(p) {
+        return projectDate(p).slice(0, 4);
+    }
+
+    function readProjectFilters(search) {
+        const params = new URLSearchParams(search);
+        const filters = { sort: PROJECT_SORTS[params.get('sort')] ? params.get('sort') : 'featured' };
+        PROJECT_FACETS.forEach(f => { filters[f.param] = params.get(f.param) || ''; });
+        PROJECT_FLAGS.forEach(f => { filters[f.param] = params.get(f.param) === '1'; });
+        return filters;
+    }
+
+    // The query string for a filtered view, plus the open project (if any)
+    function projectFilterQuery(filters, openId) {
+        const params = new URLSearchParams();
+        PROJECT_FACETS.forEach(f => { if (filters[f.param]) params.set(f.param, filters[f.param]); });
+        PROJECT_FLAGS.forEach(f => { if (filters[f.param]) params.set(f.param, '1'); });
+        if (filters.sort !== 'featured') params.set('sort', filters.sort);
+        if (openId) params.set('id', openId);
+        if (LANGUAGE !== DEFAULT_LANGUAGE) params.set('lang', LANGUAGE);
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    function filterProjects(projects, filters) {
+        const matches = projects.filter(p =>
+            PROJECT_FACETS.every(f => !filters[f.param] || String(f.value(p)) === filters[f.param]) &&
+            PROJECT_FLAGS.every(f => !filters[f.param] || f.value(p)));
+        const compare = PROJECT_SORTS[filters.sort].compare;
+        return compare ? matches.slice().sort(compare) : matches;
+    }
+
+    // [[value, count]] for every value of a facet, in display order
+    function facetValues(projects, facet) {
+        const counts = new Map();
+        projects.forEach(p => {
+            const value = facet.value(p);
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        const order = {
+            category: (a, b) => PROJECT_CATEGORIES.indexOf(a) - PROJECT_CATEGORIES.indexOf(b),
+            status: (a, b) => PROJECT_STATUSES.indexOf(a) - PROJECT_STATUSES.indexOf(b),
+            year: (a, b) => b.localeCompare(a)
+        }[facet.param] || ((a, b) => a.localeCompare(b));
+        return [...counts.entries()].sort((a, b) => order(a[0], b[0]));
+    }
+
+    function projectFiltersHtml(projects, filters, shown) {
+        const [categoryFacet, ...selectFacets] = PROJECT_FACETS;
+        const isFiltered = PROJECT_FACETS.some(f => filters[f.param]) || PROJECT_FLAGS.some(f => filters[f.param]);
+
+        return html`
+            <div class="filter-row">
+                <button class="filter-btn ${!filters.category && 'active'}" data-filter="category" data-value="">${t('filters.all')}</button>
+                ${facetValues(projects, categoryFacet).map(([value, count]) => html`
+                    <button class="filter-btn ${filters.category === value && 'active'}" data-filter="category" data-value="${value}">${valueLabel('category', value)} <span class="filter-count">${count}</span></button>
+                `)}
+            </div>
+            <div class="filter-row filter-options">
+                ${selectFacets.map(f => {
+                    const values = facetValues(projects, f);
+                    if (values.length === 0) return null;
+                    return html`
+                        <select class="filter-select" data-filter="${f.param}" aria-label="${t(f.label)}">
+                            <option value="">${t(f.label)}</option>
+                            ${values.map(([value, count]) => html`<option value="${value}" ${filters[f.param] === String(value) && 'selected'}>${valueLabel(f.param, value)} (${count})</option>`)}
+                        </select>
+                    `;
+                })}
+                ${PROJECT_FLAGS.filter(f => projects.some(f.value)).map(f => html`
+                    <button class="filter-btn ${filters[f.param] && 'active'}" data-filter="${f.param}" aria-pressed="${filters[f.param] ? 'true' : 'false'}">${t(f.label)}</button>
+                `)}
+                <select class="filter-select" data-filter="sort" aria-label="${t('filters.sort')}">
+                    ${Object.entries(PROJECT_SORTS).map(([key, sort]) => html`<option value="${key}" ${filters.sort === key && 'selected'}>${t(sort.label)}</option>`)}
+                </select>
+            </div>
+            <p class="filter-summary">
+                ${t('filters.showing', { shown, total: projects.length })}
+                ${isFiltered && html`&middot; <button class="filter-clear" data-filter="clear">${t('filters.clear')}</button>`}
+            </p>
+        `;
+    }
+
     function initProjects() {
         const grid = document.querySelector('.projects-grid');
         if (!grid) return;
 
+        const bar = document.getElementById('project-filters');
         const projects = Store.getProjects().filter(p => !p.isHidden);
+        let filters = readProjectFilters(window.location.search);
+
+        // Opening or closing an expander adds a history entry (projects.html?id=ira), so back/forward
+        // step through them; popstate below puts the page back in line with the URL
+        const onToggle = (id) => {
+            history.pushState(null, '', window.location.pathname + projectFilterQuery(filters, id));
+        };
 
         const renderGrid = () => {
-            grid.innerHTML = projects.map((p, index) => `
-                <div class="project-card fade-in" data-id="${p.id}" data-index="${index}">
-                    <img src="${p.image}" alt="${p.title}" class="project-image" loading="lazy">
-                    <div class="project-info">
-                        <h3>${p.title}</h3>
-                        <p class="text-small text-uppercase">${p.category}</p>
+            const existing = document.querySelector('.project-details-expander');
+            if (existing) existing.remove();
+
+            const shown = filterProjects(projects, filters);
+            grid.innerHTML = shown.length
+                ? shown.map((p, index) => projectCardHtml(p, index)).join('')
+                : html`<p class="filter-empty">${t('filters.empty')}</p>`;
+            attachProjectExpanders('.projects-grid', onToggle);
+            if (bar) bar.innerHTML = projectFiltersHtml(projects, filters, shown.length);
+        };
+
+        // Show the expander for id (or none) without touching history
+        const showExpander = (id) => {
+            const existing = document.querySelector('.project-details-expander');
+            if (existing && existing.dataset.projectId === id) return;
+            if (existing) existing.remove();
+
+            const card = id && Array.from(grid.querySelectorAll('.project-card')).find(c => c.dataset.id === id);
+            const project = card && projects.find(p => p.id === id);
+            if (project) createProjectExpander(grid, card, project, () => onToggle(null));
+        };
+
+        const setFilters = (changes) => {
+            filters = { ...filters, ...changes };
+            history.replaceState(null, '', window.location.pathname + projectFilterQuery(filters));
+            renderGrid();
+        };
+
+        renderGrid();
+        showExpander(new URLSearchParams(window.location.search).get('id'));
+
+        window.addEventListener('popstate', () => {
+            const next = readProjectFilters(window.location.search);
+            if (projectFilterQuery(next) !== projectFilterQuery(filters)) {
+                filters = next;
+                renderGrid();
+            }
+            showExpander(new URLSearchParams(window.location.search).get('id'));
+        });
+
+        if (!bar) return;
+        bar.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-filter]');
+            if (!btn) return;
+            const param = btn.dataset.filter;
+            if (param === 'clear') setFilters(readProjectFilters(filters.sort === 'featured' ? '' : `sort=${filters.sort}`));
+            else if (param === 'category') setFilters({ category: btn.dataset.value });
+            else setFilters({ [param]: !filters[param] });
+        });
+        bar.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-filter]');
+            if (select) setFilters({ [select.dataset.filter]: select.value });
+        });
+    }
+
+    // --- PROJECT PAGE (project.html?id=ira) ---
+    // Pages written by tools/prerender.js carry data-static-routes and link to the
+    // per-item pages it writes (project/ira.html, blog/ira.html) instead
+    const STATIC_ROUTES = document.documentElement.hasAttribute('data-static-routes');
+
+    function projectPageUrl(id, staticRoute = STATIC_ROUTES) {
+        return staticRoute ? `project/${encodeURIComponent(id)}.html` : `project.html?id=${encodeURIComponent(id)}`;
+    }
+
+    function blogPostUrl(id, staticRoute = STATIC_ROUTES) {
+        return staticRoute ? `blog/${encodeURIComponent(id)}.html` : `blog.html?id=${encodeURIComponent(id)}`;
+    }
+
+    // The id blog links use: the project id for a project story, the article id otherwise
+    function blogPostId(post) {
+        return post.type === 'project' ? post.projectId : post.id;
+    }
+
+    // [key, value] rows for the specs list (project page and expander header); empty values are left out.
+    // The label is t(`spec.${key}`)
+    function projectSpecs(project) {
+        const collections = [project.isEthosphere && t('collection.ethosphere'), project.isConceptual && t('collection.conceptual')].filter(Boolean);
+        return [
+            ['category', valueLabel('category', project.category)],
+            ['location', [project.city, project.state].filter(Boolean).join(', ')],
+            ['year', project.year ? String(project.year) : ''],
+            ['status', project.status && valueLabel('status', project.status)],
+            ['area', project.area ? t('spec.areaValue', { area: project.area.toLocaleString('en-IN') }) : ''],
+            ['services', (project.services || []).join(', ')],
+            ['collaborators', (project.collaborators || []).join(', ')],
+            ['collection', collections.join(', ')]
+        ].filter(([, value]) => value);
+    }
+
+    // Other visible projects, closest first: same category, then same state or collection
+    function relatedProjects(project, limit = 3) {
+        return Store.getProjects()
+            .filter(p => p.id !== project.id && !p.isHidden)
+            .map(p => ({
+                p,
+                score: (p.category === project.category ? 2 : 0)
+                    + (project.state && p.state === project.state ? 1 : 0)
+                    + (project.isEthosphere && p.isEthosphere ? 1 : 0)
+            }))
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(r => r.p);
+    }
+
+    function initProjectPage() {
+        const page = document.getElementById('project-page');
+        if (!page) return;
+
+        const id = page.dataset.projectId || new URLSearchParams(window.location.search).get('id');
+        const project = Store.getProjects().find(p => p.id === id);
+        const canSeeHidden = Store.isLoggedIn();
+
+        if (!project || (project.isHidden && !canSeeHidden)) {
+            document.title = `${t('projectPage.notFoundTitle')} | NexHaus`;
+            page.innerHTML = html`
+                <div class="container" style="text-align: center; padding: 6rem 0;">
+                    <h1 style="font-weight: 300; margin-bottom: 1rem;">${t('projectPage.notFound')}</h1>
+                    <p style="color: var(--secondary-text); margin-bottom: 2rem;">${t('projectPage.notFoundText')}</p>
+                    <a href="projects.html" class="text-small text-uppercase" style="text-decoration: underline;">${t('projectPage.seeAll')}</a>
+                </div>
+            `;
+            return;
+        }
+
+        setPageMeta({
+            title: project.title,
+            description: project.description,
+            image: project.image,
+            path: projectPageUrl(project.id, true)
+        });
+        setJsonLd('project', projectJsonLd(project));
+
+        const images = galleryEntries(project);
+        const story = project.blog && Store.getBlogPosts().find(b => b.projectId === project.id);
+        const showStory = story && (!story.isHidden || canSeeHidden);
+        const related = relatedProjects(project);
+
+        page.innerHTML = html`
+            <div class="container fade-in">
+                <a href="projects.html" class="text-small text-uppercase project-page-back">&larr; ${t('projectPage.back')}</a>
+                ${project.isHidden && html`<p class="project-page-note">${t('projectPage.hidden')}</p>`}
+
+                <header class="project-page-header">
+                    <div>
+                        <h1>${project.title}</h1>
+                        <p class="project-page-description">${project.description}</p>
                     </div>
+                    <dl class="project-specs">
+                        ${projectSpecs(project).map(([key, value]) => html`<div><dt>${t(`spec.${key}`)}</dt><dd>${value}</dd></div>`)}
+                    </dl>
+                </header>
+
+                <div class="project-page-gallery">
+                    ${images.map((image, index) => html`
+                        <figure class="${index === 0 && 'is-wide'}">
+                            ${imageHtml(image.src, { alt: galleryAlt(project, image, index, images.length), style: focusStyle(image), sizes: index === 0 ? '100vw' : '(max-width: 768px) 100vw, 50vw', extra: html`tabindex="0"` })}
+                            ${galleryCaption(image) && html`<figcaption>${galleryCaption(image)}</figcaption>`}
+                        </figure>
+                    `)}
                 </div>
-            `).join('');
-            attachProjectExpanders('.projects-grid');
-        };
 
-        renderGrid();
+                ${showStory && html`
+                    <article class="project-page-story">
+                        ${publishLabel(story) && html`<p class="project-page-note">${publishLabel(story)}</p>`}
+                        <span class="text-uppercase text-small" style="display:block; margin-bottom: 1rem;">${story.date}</span>
+                        <h2 style="font-size: 2rem; margin-bottom: 2rem;">${story.title}</h2>
+                        <div class="blog-body">${renderMarkdown(story.content)}</div>
+                    </article>
+                `}
+
+                ${related.length > 0 && html`
+                    <section class="project-page-related">
+                        <h3 class="text-uppercase text-small" style="letter-spacing: 0.1em; margin-bottom: 1.5rem;">${t('projectPage.related')}</h3>
+                        <div class="projects-grid">
+                            ${related.map((p, index) => html`<a href="${projectPageUrl(p.id)}">${projectCardHtml(p, index)}</a>`)}
+                        </div>
+                    </section>
+                `}
+            </div>
+        `;
+    }
+
+    // --- BLOG TAGS & RELATED READING ---
+    // Tags are lowercase slugs (passive-cooling). A UI_STRINGS "tag.<slug>" entry can name one in
+    // another language; otherwise the slug is shown with spaces.
+    function tagLabel(tag) {
+        return UI_STRINGS[LANGUAGE][`tag.${tag}`] || UI_STRINGS[DEFAULT_LANGUAGE][`tag.${tag}`] || tag.replace(/-/g, ' ');
+    }
+
+    function tagLinksHtml(tags) {
+        return tags && tags.length > 0 && html`
+            <p class="blog-tags" aria-label="${t('blog.tags')}">
+                ${tags.map(tag => html`<a href="blog.html?tag=${encodeURIComponent(tag)}" class="blog-tag">${tagLabel(tag)}</a>`)}
+            </p>
+        `;
+    }
+
+    // A post's project category: its own project for a story, the linked one for an article
+    function postCategory(post) {
+        const project = post.projectId && Store.getProjects().find(p => p.id === post.projectId);
+        return project ? project.category : null;
+    }
 
-        const filters = document.querySelectorAll('.filter-btn');
-        filters.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const existing = document.querySelector('.project-details-expander');
-                if (existing) existing.remove();
-
-                const category = e.target.dataset.category;
-                const cards = document.querySelectorAll('.project-card');
-                cards.forEach((card, index) => {
-                    const pIndex = card.dataset.index;
-                    const p = projects[pIndex];
-                    if (category === 'All' || p.category === category) {
-                        card.style.display = 'block';
-                    } else {
-                        card.style.display = 'none';
-                    }
-                });
-            });
-        });
+    // Other posts, closest first: each shared tag counts 2, being about the same project 3, and
+    // a project in the same category 1. Ties keep the newest first
+    function relatedPosts(post, posts, limit = 3) {
+        const tags = post.tags || [];
+        const category = postCategory(post);
+        return posts
+            .filter(p => blogPostId(p) !== blogPostId(post))
+            .map(p => ({
+                p,
+                score: 2 * (p.tags || []).filter(tag => tags.includes(tag)).length
+                    + (post.projectId && p.projectId === post.projectId ? 3 : 0)
+                    + (category && postCategory(p) === category ? 1 : 0)
+            }))
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(r => r.p);
+    }
+
+    function relatedReadingHtml(posts) {
+        return posts.length > 0 && html`
+            <aside class="related-reading">
+                <h3 class="text-uppercase text-small">${t('blog.related')}</h3>
+                <ul>
+                    ${posts.map(p => html`
+                        <li>
+                            <a href="${blogPostUrl(blogPostId(p))}">
+                                <span class="text-small text-uppercase">${p.date}</span>
+                                <span class="related-reading-title">${p.title}</span>
+                            </a>
+                        </li>
+                    `)}
+                </ul>
+            </aside>
+        `;
     }
 
     function initBlog() {
         const list = document.getElementById('blog-list');
         if (!list) return;
         // Check post.isHidden (DECOUPLED from project)
-        const posts = Store.getBlogPosts().filter(post => !post.isHidden);
+        const visiblePosts = Store.getBlogPosts().filter(post => !post.isHidden);
+        // ?tag=sustainability narrows the list to one tag; related reading still draws on every post
+        const tag = new URLSearchParams(window.location.search).get('tag');
+        const posts = tag ? visiblePosts.filter(post => (post.tags || []).includes(tag)) : visiblePosts;
+
+        const renderTagHeader = () => {
+            list.parentNode.querySelector('.blog-tag-header')?.remove();
+            if (!tag) return;
+            list.insertAdjacentHTML('beforebegin', html`
+                <div class="blog-tag-header">
+                    <h2>${t('blog.tagged', { tag: tagLabel(tag) })}</h2>
+                    <a href="blog.html" class="text-small text-uppercase">${t('blog.allPosts')}</a>
+                </div>
+            `);
+            document.title = `${tagLabel(tag)} | ${document.title}`;
+        };
 
         // Helper to render grid
         const renderBlogList = () => {
+            if (tag && posts.length === 0) {
+                list.innerHTML = html`<p style="opacity: 0.7;">${t('blog.noTagged', { tag: tagLabel(tag) })}</p>`;
+                return;
+            }
             list.innerHTML = posts.map((post, index) => {
                 // Find image source
                 let bgImage = post.image; // Default if article
@@ -585,11 +3325,11 @@ const App = (function () {
 
                 // Gradient Faded BG
                 const bgStyle = bgImage ?
-                    `background-image: linear-gradient(to right, #ffffff, rgba(255,255,255,0.4), #ffffff), url('${bgImage}');` :
+                    `background-image: linear-gradient(to right, #ffffff, rgba(255,255,255,0.4), #ffffff), ${cssUrl(responsiveSrc(bgImage, 1600))};` :
                     'background-color: #f9f9f9;';
 
-                return `
-                <article class="blog-entry" data-project-id="${post.type === 'project' ? post.projectId : post.id}" data-index="${index}" 
+                return html`
+                <article class="blog-entry" data-project-id="${blogPostId(post)}" data-index="${index}" 
                     style="position: relative; overflow: hidden; padding: 2.5rem 2rem; border-bottom: 1px solid var(--border-color); cursor: pointer; min-height: 220px; display: flex; flex-direction: column; justify-content: center;">
                     
                     <!-- Faded Background -->
@@ -598,26 +3338,32 @@ const App = (function () {
                     <!-- Content Overlay -->
                     <div style="position: relative; z-index: 2;">
                         <span class="text-small text-uppercase" style="letter-spacing: 0.1em; font-weight: 600; color: var(--accent-color);">${post.date}</span> 
-                        ${post.type === 'article' ? '<span class="text-small" style="color:var(--text-color); border:1px solid #ccc; padding:0 4px; border-radius:4px; margin-left:8px;">Article</span>' : ''}
+                        ${post.type === 'article' && html`<span class="text-small" style="color:var(--text-color); border:1px solid #ccc; padding:0 4px; border-radius:4px; margin-left:8px;">${t('kind.article')}</span>`}
+                        ${publishLabel(post) && html`<span class="text-small" style="color:#fff; background:#FF9800; padding:0 4px; border-radius:4px; margin-left:8px;">${publishLabel(post)}</span>`}
                         
                         <h2 class="blog-title-hover" style="margin: 1rem 0; font-size: 2.5rem; max-width: 900px;">${post.title}</h2>
                         
                         <p style="color: var(--text-color); max-width: 700px; font-size: 1.1rem; line-height: 1.6; opacity: 0.8;">${post.excerpt}</p>
+                        ${tagLinksHtml(post.tags)}
                         
-                        <button class="text-small text-uppercase" style="margin-top: 2rem; background:none; border:none; text-decoration:underline; cursor:pointer; font-weight: 600;">Read Entry</button>
+                        <button class="text-small text-uppercase" style="margin-top: 2rem; background:none; border:none; text-decoration:underline; cursor:pointer; font-weight: 600;">${t('blog.readEntry')}</button>
                     </div>
                 </article>
             `}).join('');
 
             attachBlogListeners();
 
-            // Auto-expand if URL has ?id=xyz
+            // Auto-expand if URL has ?id=xyz (or a pre-rendered blog/xyz.html names it)
             const urlParams = new URLSearchParams(window.location.search);
-            const autoId = urlParams.get('id');
+            const autoId = list.dataset.openId || urlParams.get('id');
             if (autoId) {
                 // Find element with this data-project-id (which covers both projects and articles)
-                const targetArticle = document.querySelector(`.blog-entry[data-project-id="${autoId}"]`);
+                const targetArticle = Array.from(list.querySelectorAll('.blog-entry')).find(el => el.dataset.projectId === autoId);
                 if (targetArticle) {
+                    const post = posts.find(p => blogPostId(p) === autoId);
+                    setPageMeta({ title: post.title, description: post.excerpt || '', image: post.image, path: blogPostUrl(autoId, true) });
+                    setJsonLd('post', blogPostingJsonLd(post, autoId));
+
                     // We need to simulate the event structure for handleBlogClick
                     // Or just call the click handler manually if we refactored, but simulated click is easiest
                     // However, handleBlogClick expects 'e.currentTarget'
@@ -637,6 +3383,7 @@ const App = (function () {
         };
 
         const handleBlogClick = (e) => {
+            if (e.target?.closest('a')) return; // Tag links navigate instead of opening the post
             const article = e.currentTarget;
             const contextId = article.dataset.projectId; // Can be projectId OR articleId
 
@@ -678,34 +3425,7 @@ const App = (function () {
             expander.className = 'blog-details-expander';
             expander.dataset.contextId = project.id; // Use contextId for tracking
 
-            // --- IMAGE INJECTION LOGIC (Project Gallery) ---
-            const getTextHtml = () => {
-                const rawText = post.content || '';
-                const paragraphs = rawText.split('\n\n').filter(p => p.trim() !== '');
-                const images = project.gallery && project.gallery.length > 0 ? project.gallery : [project.image];
-                // ... [Same Injection Logic] ...
-                let html = '';
-                let imgIndex = 0;
-                paragraphs.forEach((para, index) => {
-                    html += `<p style="margin-bottom: 1.5rem; line-height: 1.8; font-size: 1.1rem; color: #333;">${para.trim()}</p>`;
-                    // Inject image every 2 paragraphs
-                    if ((index + 1) % 2 === 0 && index !== paragraphs.length - 1) {
-                        const img = images[imgIndex % images.length];
-                        html += `<div class="blog-inline-image-container fade-in"><img src="${img}" class="blog-inline-image" alt="Visual for ${project.title}" loading="lazy"></div>`;
-                        imgIndex++;
-                    }
-                });
-                return html;
-            };
-
-            expander.innerHTML = `
-                <div class="expander-content" style="max-width: 800px; margin: 0 auto; padding: 4rem 0;">
-                     <button class="expander-close" style="float: right;">&times;</button>
-                     <span class="text-uppercase text-small" style="display:block; margin-bottom: 1rem;">${post.date}</span>
-                     <h1 style="font-size: 2.5rem; margin-bottom: 2rem;">${post.title}</h1>
-                     <div class="blog-body">${getTextHtml()}</div>
-                </div>
-             `;
+            expander.innerHTML = storyExpanderHtml(project, post, relatedPosts(post, visiblePosts));
             insertExpander(clickedArticle, expander);
         };
 
@@ -714,22 +3434,7 @@ const App = (function () {
             expander.className = 'blog-details-expander';
             expander.dataset.contextId = post.id;
 
-            // Simple Text Formatting for Articles (No auto-gallery injection)
-            const getTextHtml = () => {
-                return post.content.split('\n\n').map(p =>
-                    `<p style="margin-bottom: 1.5rem; line-height: 1.8; font-size: 1.1rem; color: #333;">${p.trim()}</p>`
-                ).join('');
-            };
-
-            expander.innerHTML = `
-                <div class="expander-content" style="max-width: 800px; margin: 0 auto; padding: 4rem 0;">
-                     <button class="expander-close" style="float: right;">&times;</button>
-                     ${post.image ? `<img src="${post.image}" style="width:100%; height: auto; margin-bottom: 2rem; border-radius: 4px;" loading="lazy">` : ''}
-                     <span class="text-uppercase text-small" style="display:block; margin-bottom: 1rem;">${post.date}</span>
-                     <h1 style="font-size: 2.5rem; margin-bottom: 2rem;">${post.title}</h1>
-                     <div class="blog-body">${getTextHtml()}</div>
-                </div>
-             `;
+            expander.innerHTML = articleExpanderHtml(post, relatedPosts(post, visiblePosts));
             insertExpander(clickedArticle, expander);
         };
 
@@ -748,15 +3453,29 @@ const App = (function () {
             setTimeout(() => el.remove(), 500);
         };
 
+        renderTagHeader();
         renderBlogList();
     }
 
+    function reviewCardHtml(r) {
+        return html`
+                <div class="review-card fade-in">
+                    <p class="review-text">"${r.text}"</p>
+                    <div class="review-author">
+                        <span class="client-name">${r.client}</span>
+                        <span class="client-role">${r.role}</span>
+                    </div>
+                </div>
+            `;
+    }
+
     function initReviews() {
         const container = document.getElementById('reviews-container');
         if (!container) return;
 
         const reviews = Store.getReviews();
         const isMobile = window.innerWidth <= 768;
+        setJsonLd('reviews', reviewsJsonLd(reviews));
 
         // Mobile Layout: Native Scroll + Dots (Requested behavior)
         if (isMobile) {
@@ -764,15 +3483,7 @@ const App = (function () {
             container.style = '';
 
             // Render Reviews
-            container.innerHTML = reviews.map(r => `
-                <div class="review-card fade-in">
-                    <p class="review-text">"${r.text}"</p>
-                    <div class="review-author">
-                        <span class="client-name">${r.client}</span>
-                        <span class="client-role">${r.role}</span>
-                    </div>
-                </div>
-            `).join('');
+            container.innerHTML = reviews.map(reviewCardHtml).join('');
 
             // Render Dots Container
             const dotsContainer = document.createElement('div');
@@ -852,10 +3563,10 @@ const App = (function () {
             const clones = reviews.slice(0, 3);
             const allSlides = [...reviews, ...clones];
 
-            container.innerHTML = `
+            container.innerHTML = html`
                 <div class="carousel-track-wrapper" style="overflow: hidden; width: 100%;">
                     <div class="carousel-track" style="display: flex; width: 100%;">
-                        ${allSlides.map(r => `
+                        ${allSlides.map(r => html`
                             <div class="review-slide" style="flex: 0 0 33.333%; padding: 0 1rem; box-sizing: border-box;">
                                 <div class="review-card fade-in" style="height: 100%; display: flex; flex-direction: column; justify-content: space-between;">
                                     <p class="review-text" style="font-size: 0.95rem;">"${r.text}"</p>
@@ -865,7 +3576,7 @@ const App = (function () {
                                     </div>
                                 </div>
                             </div>
-                        `).join('')}
+                        `)}
                     </div>
                 </div>
                 <!-- Custom Dots Controls -->
@@ -952,15 +3663,7 @@ const App = (function () {
             container.className = 'grid reviews-grid';
             container.style = '';
 
-            container.innerHTML = reviews.map(r => `
-                <div class="review-card fade-in">
-                    <p class="review-text">"${r.text}"</p>
-                    <div class="review-author">
-                        <span class="client-name">${r.client}</span>
-                        <span class="client-role">${r.role}</span>
-                    </div>
-                </div>
-            `).join('');
+            container.innerHTML = reviews.map(reviewCardHtml).join('');
 
             // Enable drag to scroll for desktop convenience
             makeDraggable(container);
@@ -984,13 +3687,13 @@ const App = (function () {
                 });
 
                 if (response.ok) {
-                    alert('Thank you! Your message has been sent.');
+                    alert(t('contact.sent'));
                     form.reset();
                 } else {
-                    alert('Oops! There was a problem sending your message.');
+                    alert(t('contact.failed'));
                 }
             } catch (error) {
-                alert('Oops! There was a problem sending your message.');
+                alert(t('contact.failed'));
             }
         });
     }
@@ -999,19 +3702,30 @@ const App = (function () {
         const container = document.getElementById('random-blog-container');
         if (!container) return;
 
-        // Check post.isHidden
-        const posts = Store.getBlogPosts().filter(post => !post.isHidden);
+        // Check post.isHidden; the home page only features what the public can read
+        const posts = Store.getBlogPosts().filter(post => !post.isHidden && post.publishState === 'published');
         if (posts.length === 0) return;
 
-        const randomPost = posts[Math.floor(Math.random() * posts.length)];
+        // Chosen in the admin (see Store.setFeaturedInsight). A pinned post that is gone or no longer
+        // public falls back to the newest one; posts come newest first
+        const setting = Store.getFeaturedInsight();
+        let featured = setting.mode === 'pinned' && posts.find(p => blogPostId(p) === setting.postId);
+        if (!featured) {
+            featured = setting.mode === 'random' ? posts[Math.floor(Math.random() * posts.length)] : posts[0];
+        }
+
+        // Faded image behind the card; a post without one (articles may have none) gets a plain card
+        const background = featured.image ?
+            `background: linear-gradient(rgba(255,255,255,0.85), rgba(255,255,255,0.85)), ${cssUrl(responsiveSrc(featured.image, 960))}; background-size: cover; background-position: center;` :
+            'background-color: #f9f9f9;';
 
-        container.innerHTML = `
+        container.innerHTML = html`
             <div style="text-align: center; max-width: 800px; margin: 0 auto;">
-                <span class="text-small text-uppercase" style="letter-spacing: 0.2em; margin-bottom: 1rem; display: block;">Featured Insight</span>
-                <div class="blog-featured-card fade-in" style="border: 1px solid var(--border-color); padding: 2rem; text-align: center; display: flex; flex-direction: column; align-items: center; background: linear-gradient(rgba(255,255,255,0.85), rgba(255,255,255,0.85)), url('${randomPost.image}'); background-size: cover; background-position: center;">
-                    <h3 style="font-size: 1.75rem; margin-bottom: 1rem; max-width: 800px;">${randomPost.title}</h3>
-                    <p style="color: var(--secondary-text); margin-bottom: 1.5rem; max-width: 600px; line-height: 1.6;">${randomPost.excerpt}</p>
-                    <a href="blog.html?id=${randomPost.type === 'project' ? randomPost.projectId : randomPost.id}" style="text-decoration: underline; text-underline-offset: 4px; font-weight: 500;">Read Full Article</a>
+                <span class="text-small text-uppercase" style="letter-spacing: 0.2em; margin-bottom: 1rem; display: block;">${t('blog.featured')}</span>
+                <div class="blog-featured-card fade-in" style="border: 1px solid var(--border-color); padding: 2rem; text-align: center; display: flex; flex-direction: column; align-items: center; ${background}">
+                    <h3 style="font-size: 1.75rem; margin-bottom: 1rem; max-width: 800px;">${featured.title}</h3>
+                    <p style="color: var(--secondary-text); margin-bottom: 1.5rem; max-width: 600px; line-height: 1.6;">${featured.excerpt}</p>
+                    <a href="${blogPostUrl(blogPostId(featured))}" style="text-decoration: underline; text-underline-offset: 4px; font-weight: 500;">${t('blog.readFull')}</a>
                 </div>
             </div>
         `;
@@ -1027,10 +3741,11 @@ const App = (function () {
         if (Store.isLoggedIn()) showDashboard(); else showLogin();
 
         if (loginForm) {
-            loginForm.addEventListener('submit', (e) => {
+            loginForm.addEventListener('submit', async (e) => {
                 e.preventDefault();
-                if (Store.login(document.getElementById('password').value)) showDashboard();
-                else alert('Invalid Password');
+                const result = await Store.login(document.getElementById('password').value);
+                if (result.ok) showDashboard();
+                else alert(result.message);
             });
         }
 
@@ -1067,6 +3782,29 @@ const App = (function () {
                 });
             }
 
+            // Live preview, rendered exactly as blog.html will show it
+            const renderArticlePreview = () => {
+                const preview = document.getElementById('article-preview');
+                if (!preview) return;
+                const content = document.getElementById('a-content').value;
+                if (!content.trim()) {
+                    preview.innerHTML = '<p style="color: #999; font-style: italic;">Start writing to see a preview.</p>';
+                    return;
+                }
+                preview.innerHTML = html`<div class="blog-details-expander active">${articleExpanderHtml({
+                    title: document.getElementById('a-title').value,
+                    date: document.getElementById('a-date').value,
+                    image: document.getElementById('a-image').value,
+                    tags: parseTags(document.getElementById('a-tags').value),
+                    content
+                })}</div>`;
+                preview.querySelector('.expander-close').remove();
+            };
+            document.getElementById('a-status').innerHTML = postStatusOptions();
+            addArticleForm.addEventListener('input', renderArticlePreview);
+            addArticleForm.addEventListener('reset', () => setTimeout(renderArticlePreview));
+            renderArticlePreview();
+
             addArticleForm.addEventListener('submit', (e) => {
                 e.preventDefault();
                 const aTitle = document.getElementById('a-title').value;
@@ -1074,7 +3812,23 @@ const App = (function () {
                 const aDate = document.getElementById('a-date').value || new Date().toISOString().split('T')[0];
                 const aImage = document.getElementById('a-image').value;
                 const aContent = document.getElementById('a-content').value;
-                const aExcerpt = aContent.substring(0, 100) + '...';
+                const aExcerpt = articleExcerpt(aContent);
+                const aTags = parseTags(document.getElementById('a-tags').value);
+                const aStatus = document.getElementById('a-status').value;
+                const aPublishAt = document.getElementById('a-publish-at').value;
+                const problem = scheduleProblem(aStatus, aPublishAt);
+                if (problem) {
+                    alert(problem);
+                    return;
+                }
+                if (!aId) {
+                    alert('The title needs at least one letter or digit (a-z, 0-9) to make the article id from.');
+                    return;
+                }
+                if (Store.isBlogIdTaken(aId)) {
+                    alert(`A post with the id "${aId}" already exists. Use its Edit button, or pick another title.`);
+                    return;
+                }
 
                 // Project Link Data
                 let linkedProjectId = null;
@@ -1082,21 +3836,29 @@ const App = (function () {
                     linkedProjectId = projectSelect.value;
                 }
 
-                // Conditionally add projectId field to file output
-                const projectField = linkedProjectId ? `    projectId: '${linkedProjectId}',` : '';
-
                 // Persistent Update
-                Store.addCustomArticle({
+                const article = {
                     id: aId,
                     projectId: linkedProjectId,
                     title: aTitle,
                     date: aDate,
                     excerpt: aExcerpt,
                     content: aContent,
-                    image: aImage
-                });
+                    image: aImage,
+                    tags: aTags.length ? aTags : undefined,
+                    status: aStatus,
+                    publishAt: publishAtValue(aPublishAt)
+                };
+                if (!Store.addCustomArticle(article)) {
+                    alert('Please check the title, date and content.');
+                    return;
+                }
 
-                alert('Article Added! Now click "Export Config (Publish)" to save changes permanently.');
+                saveToServer(() => Publisher.saveArticle(article)).then(saved => {
+                    alert(saved
+                        ? 'Article Added and saved to the site files.'
+                        : 'Article Added! Now click "Export Config (Publish)" to save changes permanently.');
+                });
 
                 addArticleForm.reset();
                 // Reset Checkbox state
@@ -1113,6 +3875,50 @@ const App = (function () {
         }
 
         if (dashboard) {
+            // Compare the published updates (or an exported file) with this browser's changes
+            const importBtn = document.getElementById('import-published-btn');
+            const importFile = document.getElementById('import-file');
+            if (importBtn) {
+                importBtn.addEventListener('click', () => {
+                    Store.fetchPublishedUpdates()
+                        .then(published => renderImportDiff(published, CONTENT_PATHS.UPDATES))
+                        .catch(e => alert(`Could not read the published updates: ${e.message}`));
+                });
+            }
+            if (importFile) {
+                importFile.addEventListener('change', () => {
+                    const file = importFile.files[0];
+                    if (!file) return;
+                    file.text()
+                        .then(text => renderImportDiff(JSON.parse(text), file.name))
+                        .catch(e => alert(`${file.name} is not a valid updates file: ${e.message}`))
+                        .then(() => { importFile.value = ''; });
+                });
+            }
+
+            const featuredForm = document.getElementById('featured-insight-form');
+            if (featuredForm) {
+                renderFeaturedInsightForm();
+                featuredForm.elements.mode.addEventListener('change', () => {
+                    featuredForm.elements.postId.disabled = featuredForm.elements.mode.value !== 'pinned';
+                });
+                featuredForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    const mode = featuredForm.elements.mode.value;
+                    const postId = featuredForm.elements.postId.value;
+                    if (mode === 'pinned' && !postId) {
+                        alert('Choose the post to pin.');
+                        return;
+                    }
+                    Store.setFeaturedInsight({ mode, postId });
+                    saveToServer(() => Publisher.saveFeaturedInsight()).then(saved => {
+                        alert(saved
+                            ? 'Featured insight saved to the site files.'
+                            : 'Featured insight set! Now click "Export Config (Publish)" to save changes permanently.');
+                    });
+                });
+            }
+
             // Check for Review Form
             const addReviewForm = document.getElementById('add-review-form');
             if (addReviewForm) {
@@ -1123,9 +3929,11 @@ const App = (function () {
                     const client = document.getElementById('r-client').value;
                     const role = document.getElementById('r-role').value;
                     const text = document.getElementById('r-text').value;
+                    const rating = Number(document.getElementById('r-rating').value); // Optional, 1-5
 
                     // Add to Store
-                    Store.addReview({ client, role, text });
+                    const review = Store.addReview({ client, role, text, ...(rating && { rating }) });
+                    if (review) saveToServer(() => Publisher.saveReview(review));
 
                     alert('Review Added!');
                     addReviewForm.reset();
@@ -1135,88 +3943,248 @@ const App = (function () {
         }
 
         if (addForm) {
-            addForm.addEventListener('submit', (e) => {
-                e.preventDefault();
+            const editorTitle = document.getElementById('project-editor-title');
+            const idInput = document.getElementById('p-id');
+            const categorySelect = document.getElementById('p-category');
+            const submitBtn = addForm.querySelector('button[type="submit"]');
+            const TEXT_FIELDS = {
+                id: 'p-id', title: 'p-title', category: 'p-category', image: 'p-image', description: 'p-desc',
+                city: 'p-city', state: 'p-state', year: 'p-year', area: 'p-area', status: 'p-status',
+                services: 'p-services', collaborators: 'p-collaborators', gallery: 'p-gallery', blogTitle: 'b-title', blogDate: 'b-date', blogExcerpt: 'b-excerpt', blogContent: 'b-content',
+                blogTags: 'b-tags', blogStatus: 'b-status', blogPublishAt: 'b-publish-at'
+            };
+            const CHECKBOX_FIELDS = { isEthosphere: 'p-ethosphere', isConceptual: 'p-conceptual' };
+
+            let editingId = null; // Id of the existing project being edited, null for a new one
+            const idFromTitle = (title) => title.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+            // One gallery line per image: the path, then optional "| key: value" parts and "| cover",
+            // e.g. images/ira/ira_01.jpg | caption: The courtyard at dusk | credit: A. Menon | cover
+            const GALLERY_KEYS = ['alt', 'caption', 'credit', 'focus'];
+            const parseGalleryLine = (line) => {
+                const [src, ...parts] = line.split('|').map(part => part.trim());
+                const entry = { src };
+                parts.forEach(part => {
+                    const match = part.match(/^(\w+):\s*(.*)$/);
+                    if (part === 'cover') entry.cover = true;
+                    else if (match) entry[match[1]] = match[2];
+                    else if (part && !entry.caption) entry.caption = part;
+                });
+                return Object.keys(entry).length === 1 ? src : entry;
+            };
+            const galleryLine = (entry) => typeof entry === 'string' ? entry : [
+                entry.src,
+                ...GALLERY_KEYS.filter(key => entry[key]).map(key => `${key}: ${entry[key]}`),
+                ...(entry.cover ? ['cover'] : [])
+            ].join(' | ');
+
+            categorySelect.innerHTML = PROJECT_CATEGORIES.map(c => html`<option value="${c}">${c}</option>`).join('');
+            document.getElementById('p-status').innerHTML = html`<option value="">Status (optional)</option>${PROJECT_STATUSES.map(st => html`<option value="${st}">${st}</option>`)}`;
+            document.getElementById('b-status').innerHTML = postStatusOptions();
+
+            const readForm = () => {
+                const values = {};
+                Object.entries(TEXT_FIELDS).forEach(([key, id]) => { values[key] = document.getElementById(id).value; });
+                Object.entries(CHECKBOX_FIELDS).forEach(([key, id]) => { values[key] = document.getElementById(id).checked; });
+                return values;
+            };
 
-                // 1. Gather Data
-                const pTitle = document.getElementById('p-title').value;
-                const pId = pTitle.toLowerCase().replace(/[^a-z0-9]/g, '');
-                const pCategory = document.getElementById('p-category').value;
-                const pImage = document.getElementById('p-image').value;
-                const pDesc = document.getElementById('p-desc').value;
-                const pEthosphere = document.getElementById('p-ethosphere').checked;
-                const pConceptual = document.getElementById('p-conceptual').checked;
-
-                const galleryInput = document.getElementById('p-gallery').value;
-                const gallery = galleryInput ? galleryInput.split(',').map(url => url.trim()).filter(url => url) : [];
-
-                const bTitle = document.getElementById('b-title').value || pTitle;
-                const bDate = document.getElementById('b-date').value || new Date().toISOString().split('T')[0];
-                const bExcerpt = document.getElementById('b-excerpt').value || pDesc;
-                const bContent = document.getElementById('b-content').value || '';
-
-                // 2. Generate File Content
-                // We manually construct/stringify to match the "readable" format of previous files
-                const fileContent = `/* 
-   INSTRUCTIONS:
-   1. You can edit the text below.
-   2. Keep the quotes (\` \`) around the text.
-   3. Save this file to "projects/${pId}.txt"
-*/
-
-App.loadProject({
-    id: '${pId}',
-    title: '${pTitle.replace(/'/g, "\\'")}',
-    category: '${pCategory}',
-    image: '${pImage}',
-    description: '${pDesc.replace(/'/g, "\\'")}',
-    isEthosphere: ${pEthosphere},
-    isConceptual: ${pConceptual},
-    gallery: [
-${gallery.map(img => `        '${img}'`).join(',\n')}
-    ],
-    blog: {
-        title: '${bTitle.replace(/'/g, "\\'")}',
-        date: '${bDate}',
-        excerpt: '${bExcerpt.replace(/'/g, "\\'")}',
-        content: \`
-${bContent.replace(/`/g, '\\`')}
-        \`
-    }
-});
-`;
-
-                // 3. Trigger Download
-                const blob = new Blob([fileContent], { type: 'text/plain' });
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.style.display = 'none';
-                a.href = url;
-                a.download = `${pId}.txt`;
-                document.body.appendChild(a);
-                a.click();
-                window.URL.revokeObjectURL(url);
-
-                // 4. Instructions
-                const scriptTag = `<script src="projects/${pId}.txt"><\/script>`;
-                alert(`SUCCESS! Project file downloaded as "${pId}.txt".\n\n1. Move this file to your "projects" folder.\n2. Add this line to index.html (and others):\n\n${scriptTag}`);
+            const writeForm = (values) => {
+                Object.entries(TEXT_FIELDS).forEach(([key, id]) => { document.getElementById(id).value = values[key] || ''; });
+                Object.entries(CHECKBOX_FIELDS).forEach(([key, id]) => { document.getElementById(id).checked = !!values[key]; });
+                if (!values.category) categorySelect.selectedIndex = 0;
+            };
 
-                // 5. Temporary Local Update (Optional - mostly for UI feedback)
-                // We construct the object for Store just so it appears in the list now
-                const newProject = {
-                    id: pId,
+            // 1. Gather Data
+            const buildProject = (values) => {
+                const pTitle = values.title.trim();
+                const pDesc = values.description.trim();
+                // Lines without "|" may still list several paths separated by commas
+                const gallery = values.gallery.split('\n')
+                    .flatMap(line => line.includes('|') ? [line] : line.split(','))
+                    .map(line => line.trim()).filter(line => line)
+                    .map(parseGalleryLine);
+                const lines = (text) => text.split('\n').map(line => line.trim()).filter(line => line);
+                const bContent = values.blogContent.trim();
+                const bTags = parseTags(values.blogTags);
+                // A blank date leaves an existing story as it was (undated stays undated); only a new story gets today's
+                const existing = editingId && Store.getProjects().find(p => p.id === editingId);
+                const bDate = values.blogDate || (existing && existing.blog ? existing.blog.date : new Date().toISOString().split('T')[0]);
+
+                return withGalleryCover({
+                    id: values.id.trim(),
                     title: pTitle,
-                    category: pCategory,
-                    image: pImage,
+                    category: values.category,
+                    image: values.image.trim(),
                     description: pDesc,
+                    city: values.city.trim() || undefined,
+                    state: values.state.trim() || undefined,
+                    year: values.year ? Number(values.year) : undefined,
+                    area: values.area ? Number(values.area) : undefined,
+                    status: values.status || undefined,
+                    services: lines(values.services).length ? lines(values.services) : undefined,
+                    collaborators: lines(values.collaborators).length ? lines(values.collaborators) : undefined,
+                    isEthosphere: values.isEthosphere,
+                    isConceptual: values.isConceptual,
                     gallery: gallery,
-                    isEthosphere: pEthosphere,
-                    isConceptual: pConceptual,
-                    blog: { title: bTitle, date: bDate, excerpt: bExcerpt, content: bContent }
-                };
+                    blog: bContent ? {
+                        title: values.blogTitle.trim() || pTitle,
+                        date: bDate,
+                        excerpt: values.blogExcerpt.trim() || pDesc,
+                        content: bContent,
+                        tags: bTags.length ? bTags : undefined,
+                        status: values.blogStatus || undefined,
+                        publishAt: publishAtValue(values.blogPublishAt)
+                    } : undefined
+                });
+            };
+
+            const projectToValues = (p) => ({
+                id: p.id,
+                title: p.title,
+                category: p.category,
+                image: p.image,
+                description: p.description,
+                city: p.city || '',
+                state: p.state || '',
+                year: p.year ? String(p.year) : '',
+                area: p.area ? String(p.area) : '',
+                status: p.status || '',
+                services: (p.services || []).join('\n'),
+                collaborators: (p.collaborators || []).join('\n'),
+                isEthosphere: !!p.isEthosphere,
+                isConceptual: !!p.isConceptual,
+                gallery: (p.gallery || []).map(galleryLine).join('\n'),
+                blogTitle: p.blog ? p.blog.title || '' : '',
+                blogDate: p.blog ? p.blog.date || '' : '',
+                blogExcerpt: p.blog ? p.blog.excerpt || '' : '',
+                blogContent: p.blog ? p.blog.content || '' : '',
+                blogTags: p.blog ? (p.blog.tags || []).join(', ') : '',
+                blogStatus: p.blog && p.blog.status || 'published',
+                blogPublishAt: p.blog ? publishAtInput(p.blog.publishAt) : ''
+            });
+
+            // Live preview of the card and the expander, using the same markup as the public pages
+            const renderPreview = () => {
+                const preview = document.getElementById('project-preview');
+                if (!preview) return;
+                const project = buildProject(readForm());
+                if (!project.title && !project.image) {
+                    preview.innerHTML = '<p style="color: #999; font-style: italic;">Start typing to see a preview.</p>';
+                    return;
+                }
+                preview.innerHTML = html`
+                    <div class="projects-grid" style="grid-template-columns: minmax(0, 360px);">${projectCardHtml(project, 0)}</div>
+                    <div class="project-details-expander active">${projectExpanderHtml(project)}</div>
+                    ${project.blog && html`<div class="blog-details-expander active">${storyExpanderHtml(project, projectBlogPost(project))}</div>`}
+                `;
+                preview.querySelectorAll('.expander-close').forEach(btn => btn.remove());
+            };
+
+            const setEditing = (id) => {
+                editingId = id;
+                idInput.readOnly = !!id;
+                editorTitle.textContent = id ? `Edit Project: ${id}` : 'Add Project';
+                submitBtn.textContent = id ? 'Save Changes' : 'Create Project';
+            };
+
+            const saveDraft = () => Store.saveProjectDraft({ editingId, values: readForm() });
+
+            const resetEditor = () => {
+                Store.clearProjectDraft();
+                delete idInput.dataset.touched;
+                addForm.reset();
+                writeForm({});
+                setEditing(null);
+                renderPreview();
+            };
+
+            addForm.addEventListener('input', (e) => {
+                // New projects take their id from the title until the id is typed in by hand
+                if (!editingId && e.target.id === 'p-title' && !idInput.dataset.touched) {
+                    idInput.value = idFromTitle(e.target.value);
+                }
+                if (e.target === idInput) idInput.dataset.touched = 'true';
+                saveDraft();
+                renderPreview();
+            });
+            addForm.addEventListener('change', () => {
+                saveDraft();
+                renderPreview();
+            });
+
+            document.getElementById('project-editor-reset').addEventListener('click', () => {
+                if (confirm('Discard the changes in the project editor?')) resetEditor();
+            });
+
+            // Edit-in-place from the project list
+            if (projectList) {
+                projectList.addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-edit-project]');
+                    if (!btn) return;
+                    const project = Store.getProjects().find(p => p.id === btn.dataset.editProject);
+                    if (!project) return;
+                    if (Store.getProjectDraft() && !confirm('Replace the project currently in the editor?')) return;
+
+                    writeForm(projectToValues(project));
+                    setEditing(project.id);
+                    saveDraft();
+                    renderPreview();
+                    addForm.scrollIntoView({ behavior: 'smooth' });
+                });
+            }
+
+            // Restore the unsaved draft, if any
+            const draft = Store.getProjectDraft();
+            if (draft) {
+                writeForm(draft.values);
+                setEditing(draft.editingId);
+                if (!draft.editingId && draft.values.id !== idFromTitle(draft.values.title || '')) idInput.dataset.touched = 'true';
+            } else {
+                setEditing(null);
+            }
+            renderPreview();
+
+            addForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                const newProject = buildProject(readForm());
+                const pId = newProject.id;
+                // The form only edits the English text; keep any translations the file already has
+                const existing = editingId && Store.getProjects().find(p => p.id === editingId);
+                if (existing && existing.translations) newProject.translations = existing.translations;
+
+                if (!editingId && Store.getProjects().some(p => p.id === pId)) {
+                    alert(`A project with the id "${pId}" already exists. Use its Edit button, or pick another id.`);
+                    return;
+                }
+
+                // 2. Generate File Content (front matter + Markdown story)
+                const errors = validateFields(newProject, PROJECT_SCHEMA).filter(err => err.severity === 'error');
+                const blogSchedule = newProject.blog && scheduleProblem(newProject.blog.status, newProject.blog.publishAt);
+                if (blogSchedule) errors.push({ field: 'blog.publishAt', message: blogSchedule });
+                if (errors.length) {
+                    alert('Please fix the following:\n\n' + errors.map(err => `- ${err.field} ${err.message}`).join('\n'));
+                    return;
+                }
+
+                // 3. Save to the server, or Trigger Download on a static site
+                const saved = await saveToServer(() => Publisher.saveProject(newProject));
+                if (saved) {
+                    alert(`SUCCESS! Project saved as "projects/${pId}.md"${editingId ? '' : ' and added to the project list'}.`);
+                } else {
+                    downloadFile(`${pId}.md`, serializeProjectFile(newProject), 'text/markdown');
+
+                    // 4. Instructions
+                    alert(editingId
+                        ? `SUCCESS! Project file downloaded as "${pId}.md".\n\nReplace "projects/${pId}.md" with this file.`
+                        : `SUCCESS! Project file downloaded as "${pId}.md".\n\n1. Move this file to your "projects" folder.\n2. Add "${pId}" to the list in "projects/index.json".`);
+                }
+
+                // 5. Temporary Local Update (Optional - mostly for UI feedback)
                 Store.addProject(newProject);
                 renderProjectList();
-                addForm.reset();
+                resetEditor();
             });
         }
 
@@ -1224,14 +4192,41 @@ ${bContent.replace(/`/g, '\\`')}
             loginForm.classList.remove('hidden');
             loginForm.parentElement.classList.remove('hidden'); // Ensure wrapper is visible too if needed
             dashboard.classList.add('hidden');
+
+            // No working default password is shipped, so say how to set one up
+            Auth.loadConfig().then(config => {
+                if (config.endpoint || config.passwordHash || loginForm.querySelector('.auth-setup')) return;
+                loginForm.querySelector('h3').insertAdjacentHTML('afterend', html`
+                    <p class="auth-setup text-small" style="color: var(--secondary-text); line-height: 1.6;">
+                        No admin password is set yet. Run <code>node tools/set-admin-password.js "&lt;password&gt;"</code>,
+                        then <code>node tools/build-content-bundle.js</code>, and reload this page.
+                    </p>
+                `);
+            });
         }
 
         function showDashboard() {
             loginForm.classList.add('hidden');
             loginForm.parentElement.classList.add('hidden');
             dashboard.classList.remove('hidden');
+
+            // Return to the login form once the session runs out
+            const session = Auth.getSession();
+            const MAX_TIMEOUT = 2147483647; // Longer delays overflow and fire immediately
+            if (session && session.expiresAt - Date.now() < MAX_TIMEOUT) {
+                setTimeout(() => location.reload(), session.expiresAt - Date.now() + 1000);
+            }
+
+            // With the local server running, publishing saves to disk instead of downloading
+            Publisher.detect().then(live => {
+                const exportBtn = document.getElementById('export-btn');
+                if (live && exportBtn) exportBtn.textContent = 'Publish (Save to Site Files)';
+            });
+
             renderProjectList();
             App.renderAdminArticles();
+            renderContentHealth();
+            renderChangeHistory();
         }
 
         function renderProjectList() {
@@ -1243,7 +4238,7 @@ ${bContent.replace(/`/g, '\\`')}
                 const blogPost = blogs.find(b => b.projectId === p.id);
                 const blogHidden = blogPost ? blogPost.isHidden : false;
 
-                return `
+                return html`
                 <div class="flex justify-between items-center" style="padding: 1rem; border-bottom: 1px solid var(--border-color);">
                     <!-- Project Info -->
                     <div style="flex: 1; opacity: ${p.isHidden ? '0.5' : '1'};">
@@ -1252,39 +4247,325 @@ ${bContent.replace(/`/g, '\\`')}
                              ${p.isEthosphere ? '[ETHOSPHERE] ' : ''}${p.isConceptual ? '[CONCEPTUAL] ' : ''}${p.category}
                         </div>
                         <div>
-                            <button onclick="App.toggleVisibility('${p.id}')" style="padding: 0.3rem 0.6rem; background: ${p.isHidden ? '#4CAF50' : '#FF9800'}; color:white; border:none; cursor:pointer; font-size: 0.8rem; margin-right: 0.5rem;">Project: ${p.isHidden ? 'Unhide' : 'Hide'}</button>
-                            <button onclick="App.deleteProject('${p.id}')" style="padding: 0.3rem 0.6rem; background: #e53935; color:white; border:none; cursor:pointer; font-size: 0.8rem;">Delete</button>
+                            <button data-action="toggle-visibility" data-id="${p.id}" style="padding: 0.3rem 0.6rem; background: ${p.isHidden ? '#4CAF50' : '#FF9800'}; color:white; border:none; cursor:pointer; font-size: 0.8rem; margin-right: 0.5rem;">Project: ${p.isHidden ? 'Unhide' : 'Hide'}</button>
+                            <button data-edit-project="${p.id}" style="padding: 0.3rem 0.6rem; background: #2196F3; color:white; border:none; cursor:pointer; font-size: 0.8rem; margin-right: 0.5rem;">Edit</button>
+                            <button data-action="delete-project" data-id="${p.id}" style="padding: 0.3rem 0.6rem; background: #e53935; color:white; border:none; cursor:pointer; font-size: 0.8rem;">Delete</button>
                         </div>
                     </div>
 
                     <!-- Blog Info -->
                     <div style="flex: 1; padding-left: 1rem; border-left: 1px solid #eee; opacity: ${blogHidden ? '0.5' : '1'};">
-                        ${blogPost ? `
-                            <div style="font-weight: 500; margin-bottom: 0.5rem;">Blog: ${blogPost.title} ${blogHidden ? '(HIDDEN)' : ''}</div>
+                        ${blogPost ? html`
+                            <div style="font-weight: 500; margin-bottom: 0.5rem;">Blog: ${blogPost.title} ${blogHidden ? '(HIDDEN)' : ''} ${adminPublishNote(blogPost)}</div>
                              <div>
-                                <button onclick="App.toggleBlogVisibility('${p.id}')" style="padding: 0.3rem 0.6rem; background: ${blogHidden ? '#4CAF50' : '#795548'}; color:white; border:none; cursor:pointer; font-size: 0.8rem; margin-right: 0.5rem;">Blog: ${blogHidden ? 'Unhide' : 'Hide'}</button>
+                                <button data-action="toggle-blog-visibility" data-id="${p.id}" style="padding: 0.3rem 0.6rem; background: ${blogHidden ? '#4CAF50' : '#795548'}; color:white; border:none; cursor:pointer; font-size: 0.8rem; margin-right: 0.5rem;">Blog: ${blogHidden ? 'Unhide' : 'Hide'}</button>
                            </div>
-                        ` : '<div style="color: #ccc;">No Blog Post</div>'}
+                        ` : html`<div style="color: #ccc;">No Blog Post</div>`}
                     </div>
                 </div>
             `}).join('');
         }
     }
 
+    function articleExcerpt(content) {
+        return content.substring(0, 100) + '...';
+    }
+
+    // Status picker options for articles and project stories; published comes first, so a reset form publishes
+    function postStatusOptions(selected = 'published') {
+        const labels = { published: 'Published', scheduled: 'Scheduled', draft: 'Draft' };
+        return html`${Object.entries(labels).map(([value, label]) => html`<option value="${value}" ${value === selected && 'selected'}>${label}</option>`)}`;
+    }
+
+    // A stored publishAt as a datetime-local input value (which needs a time of day), in India time
+    function publishAtInput(value) {
+        if (!value) return '';
+        const [hours, minutes] = PUBLISH_UTC_OFFSET.slice(1).split(':').map(Number);
+        const offsetMs = (PUBLISH_UTC_OFFSET.startsWith('-') ? -1 : 1) * (hours * 60 + minutes) * 60000;
+        return new Date(publishTime(value).getTime() + offsetMs).toISOString().slice(0, 16);
+    }
+
+    // A datetime-local input value (India time) as the publishAt to store, offset included
+    function publishAtValue(input) {
+        return input ? input + PUBLISH_UTC_OFFSET : undefined;
+    }
+
+    // "Passive Cooling, homes" -> ['passive-cooling', 'homes'], the slugs blog.html?tag= links use
+    function parseTags(text) {
+        const tags = text.split(',')
+            .map(tag => tag.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+            .filter(tag => tag);
+        return [...new Set(tags)];
+    }
+
+    function scheduleProblem(status, publishAt) {
+        return status === 'scheduled' && !publishAt ? 'A scheduled post needs a date and time to publish at.' : null;
+    }
+
+    // "Draft" or "Scheduled for ..." next to a post in the admin lists
+    function adminPublishNote(post) {
+        const label = publishLabel({ ...post, publishState: publishState(post) });
+        return label && html`<span class="text-small" style="color: #FF9800; font-weight: 600;">${label}</span>`;
+    }
+
+    function formatModified(iso) {
+        return iso && html`<div class="text-small" style="color: #999; margin-top: 0.25rem;">Last modified ${new Date(iso).toLocaleString()}</div>`;
+    }
+
+    // Admin rows currently open for inline editing
+    let editingReviewId = null;
+    let editingArticleId = null;
+
+    const ADMIN_INPUT_STYLE = 'padding: 0.5rem; border: 1px solid var(--border-color); width: 100%;';
+    const ADMIN_BUTTON_STYLE = 'color: white; border: none; cursor: pointer; padding: 0.5rem; font-size: 0.8rem;';
+
     function renderAdminReviews() {
         const list = document.getElementById('review-list-admin');
         if (!list) return;
 
         const reviews = Store.getReviews();
-        list.innerHTML = reviews.map(r => `
+        list.innerHTML = reviews.map(r => r.id == editingReviewId ? html`
+            <form class="review-edit-form" data-review-id="${r.id}" style="padding: 1rem; border-bottom: 1px solid #eee; display: grid; gap: 0.5rem;">
+                <input type="text" name="client" value="${r.client}" placeholder="Client Name" required style="${ADMIN_INPUT_STYLE}">
+                <input type="text" name="role" value="${r.role}" placeholder="Role / Description" required style="${ADMIN_INPUT_STYLE}">
+                <textarea name="text" rows="3" placeholder="Review Text" required style="${ADMIN_INPUT_STYLE}">${r.text}</textarea>
+                <select name="rating" style="${ADMIN_INPUT_STYLE}">
+                    <option value="">No star rating</option>
+                    ${[5, 4, 3, 2, 1].map(n => html`<option value="${n}" ${r.rating === n && 'selected'}>${n} star${n > 1 && 's'}</option>`)}
+                </select>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button type="submit" style="background: #4CAF50; ${ADMIN_BUTTON_STYLE}">Save</button>
+                    <button type="button" data-action="cancel-review-edit" style="background: #999; ${ADMIN_BUTTON_STYLE}">Cancel</button>
+                </div>
+            </form>
+        ` : html`
             <div style="padding: 1rem; border-bottom: 1px solid #eee; display: flex; justify-content: space-between; align-items: start;">
                 <div>
                     <strong>${r.client}</strong> <span class="text-small">(${r.role})</span>
+                    ${r.rating && html`<span class="text-small">&middot; ${r.rating}/5</span>`}
                     <p style="color: var(--secondary-text); margin-top: 0.5rem; font-style: italic;">"${r.text}"</p>
+                    ${formatModified(r.updatedAt)}
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button data-action="edit-review" data-id="${r.id}" style="background: #2196F3; ${ADMIN_BUTTON_STYLE}">Edit</button>
+                    <button data-action="delete-review" data-id="${r.id}" style="background: red; ${ADMIN_BUTTON_STYLE}">Delete</button>
                 </div>
-                <button onclick="App.deleteReview('${r.id}')" style="background: red; color: white; border: none; cursor: pointer; padding: 0.5rem; font-size: 0.8rem;">Delete</button>
             </div>
         `).join('');
+
+        const form = list.querySelector('.review-edit-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const review = Store.updateReview(form.dataset.reviewId, {
+                    client: form.elements.client.value.trim(),
+                    role: form.elements.role.value.trim(),
+                    text: form.elements.text.value.trim(),
+                    rating: Number(form.elements.rating.value) || undefined
+                });
+                editingReviewId = null;
+                renderAdminReviews();
+                if (review) saveToServer(() => Publisher.saveReview(review));
+            });
+        }
+    }
+
+    function renderAdminArticles() {
+        const list = document.getElementById('article-list-admin');
+        if (!list) return;
+        // Articles added in this browser, whatever their status (drafts and scheduled ones included)
+        const articles = Store.getCustomArticles();
+
+        if (articles.length === 0) {
+            list.innerHTML = '<p style="color: #999; font-style: italic;">No custom articles yet.</p>';
+            return;
+        }
+
+        list.innerHTML = articles.map(a => a.id === editingArticleId ? html`
+            <form class="article-edit-form" data-article-id="${a.id}" style="padding: 1rem; border-bottom: 1px solid #eee; display: grid; gap: 0.5rem;">
+                <input type="text" name="title" value="${a.title}" placeholder="Article Title" required style="${ADMIN_INPUT_STYLE}">
+                <input type="date" name="date" value="${a.date}" required style="${ADMIN_INPUT_STYLE}">
+                <input type="text" name="image" value="${a.image || ''}" placeholder="Cover Image Path/URL" style="${ADMIN_INPUT_STYLE}">
+                <input type="text" name="tags" value="${(a.tags || []).join(', ')}" placeholder="Tags, comma separated (e.g. sustainability, homes)" style="${ADMIN_INPUT_STYLE}">
+                <textarea name="content" rows="8" placeholder="Content" required style="${ADMIN_INPUT_STYLE}">${a.content}</textarea>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem;">
+                    <select name="status" style="${ADMIN_INPUT_STYLE}">${postStatusOptions(a.status)}</select>
+                    <input type="datetime-local" name="publishAt" value="${publishAtInput(a.publishAt)}" title="Publish at, India time (for a scheduled article)" style="${ADMIN_INPUT_STYLE}">
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button type="submit" style="background: #4CAF50; ${ADMIN_BUTTON_STYLE}">Save</button>
+                    <button type="button" data-action="cancel-article-edit" style="background: #999; ${ADMIN_BUTTON_STYLE}">Cancel</button>
+                </div>
+            </form>
+        ` : html`
+            <div style="padding: 1rem; border-bottom: 1px solid #eee; display: flex; justify-content: space-between; align-items: start;">
+                <div>
+                    <strong>${a.title}</strong> <span class="text-small">(${a.date})</span> ${adminPublishNote(a)}
+                    <div class="text-small" style="color: var(--secondary-text);">${a.excerpt.substring(0, 60)}...</div>
+                    ${formatModified(a.updatedAt)}
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button data-action="edit-article" data-id="${a.id}" style="background: #2196F3; ${ADMIN_BUTTON_STYLE}">Edit</button>
+                    <button data-action="delete-article" data-id="${a.id}" style="background: red; ${ADMIN_BUTTON_STYLE}">Delete</button>
+                </div>
+            </div>
+         `).join('');
+
+        const form = list.querySelector('.article-edit-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const content = form.elements.content.value;
+                const tags = parseTags(form.elements.tags.value);
+                const status = form.elements.status.value;
+                const publishAt = form.elements.publishAt.value;
+                const problem = scheduleProblem(status, publishAt);
+                if (problem) {
+                    alert(problem);
+                    return;
+                }
+                const article = Store.updateCustomArticle(form.dataset.articleId, {
+                    title: form.elements.title.value.trim(),
+                    date: form.elements.date.value,
+                    image: form.elements.image.value.trim(),
+                    content,
+                    excerpt: articleExcerpt(content),
+                    tags: tags.length ? tags : undefined,
+                    status,
+                    publishAt: publishAtValue(publishAt)
+                });
+                if (!article) {
+                    alert('Please check the title, date and content.');
+                    return;
+                }
+                editingArticleId = null;
+                renderAdminArticles();
+                saveToServer(() => Publisher.saveArticle(article));
+            });
+        }
+    }
+
+    // Home page featured insight: the mode picker, and the post to pin (only used in pinned mode)
+    function renderFeaturedInsightForm() {
+        const form = document.getElementById('featured-insight-form');
+        if (!form) return;
+
+        const setting = Store.getFeaturedInsight();
+        const labels = { random: 'Random published post', latest: 'Latest published post', pinned: 'Pinned post' };
+        form.elements.mode.innerHTML = html`${FEATURED_MODES.map(mode => html`<option value="${mode}" ${mode === setting.mode && 'selected'}>${labels[mode]}</option>`)}`;
+        form.elements.postId.innerHTML = html`
+            <option value="">Select a post...</option>
+            ${Store.getBlogPosts().map(p => html`<option value="${blogPostId(p)}" ${blogPostId(p) === setting.postId && 'selected'}>${p.title} (${p.date})</option>`)}
+        `;
+        form.elements.postId.disabled = setting.mode !== 'pinned';
+    }
+
+    function renderContentHealth() {
+        const panel = document.getElementById('content-health');
+        if (!panel) return;
+
+        const issues = Store.getContentIssues();
+        const quarantined = Store.getQuarantinedContent();
+        const errorCount = issues.filter(i => i.severity === 'error').length;
+
+        if (issues.length === 0) {
+            panel.innerHTML = '<p style="padding: 1rem; color: #4CAF50;">All content files loaded without problems.</p>';
+            return;
+        }
+
+        panel.innerHTML = html`
+            <p style="padding: 1rem; border-bottom: 1px solid #eee;">
+                ${errorCount} error(s), ${issues.length - errorCount} warning(s).
+                ${quarantined.length > 0 && html`<strong>${quarantined.length} entr${quarantined.length === 1 ? 'y was' : 'ies were'} not published:</strong> ${quarantined.map(q => q.source).join(', ')}`}
+            </p>
+            ${issues.map(i => html`
+                <div style="padding: 0.5rem 1rem; border-bottom: 1px solid #eee; font-size: 0.9rem;">
+                    <span style="display: inline-block; min-width: 5rem; font-weight: 600; color: ${i.severity === 'error' ? '#e53935' : '#FF9800'};">${i.severity.toUpperCase()}</span>
+                    <code>${i.source}</code> &mdash; <strong>${i.field}</strong> ${i.message}
+                </div>
+            `)}
+        `;
+    }
+
+    function renderChangeHistory() {
+        const panel = document.getElementById('change-history');
+        if (!panel) return;
+
+        const history = Store.getHistory();
+        if (history.length === 0) {
+            panel.innerHTML = '<p style="padding: 1rem; color: #999; font-style: italic;">No changes recorded yet.</p>';
+            return;
+        }
+
+        panel.innerHTML = html`
+            <div style="padding: 1rem; border-bottom: 1px solid #eee; display: flex; gap: 0.5rem; align-items: center;">
+                Undo the last
+                <input type="number" id="undo-count" min="1" max="${history.length}" value="1" style="${ADMIN_INPUT_STYLE} width: 5rem;">
+                change(s)
+                <button data-action="undo-changes" style="background: #FF9800; ${ADMIN_BUTTON_STYLE}">Undo</button>
+            </div>
+            ${history.map(h => html`
+                <div style="padding: 0.5rem 1rem; border-bottom: 1px solid #eee; font-size: 0.9rem; display: flex; justify-content: space-between; align-items: center;">
+                    <div>
+                        <span style="display: inline-block; min-width: 11rem; color: #999;">${new Date(h.at).toLocaleString()}</span>
+                        ${h.label}
+                    </div>
+                    <button data-action="restore-history" data-id="${h.id}" title="Go back to how things were before this change" style="background: #999; ${ADMIN_BUTTON_STYLE}">Restore</button>
+                </div>
+            `)}
+        `;
+    }
+
+    function renderImportDiff(published, source) {
+        const panel = document.getElementById('import-diff');
+        if (!panel) return;
+        if (!published || typeof published !== 'object' || Array.isArray(published)) {
+            throw new Error('expected an object with hiddenProjects, hiddenBlogs, reviews, articles and featuredInsight');
+        }
+
+        const differences = Store.diffWithPublished(published);
+        if (differences.length === 0) {
+            panel.innerHTML = html`<p style="padding: 1rem; border-top: 1px solid #eee; color: #4CAF50;">This browser matches ${source}.</p>`;
+            return;
+        }
+
+        const KIND_LABELS = { hiddenProject: 'Project visibility', hiddenBlog: 'Story visibility', review: 'Review', article: 'Article', featured: 'Featured insight' };
+        const describe = (d, side) => {
+            const value = d[side];
+            if (d.kind === 'hiddenProject' || d.kind === 'hiddenBlog') return value ? 'Hidden' : 'Shown';
+            if (d.kind === 'featured') return featuredInsightDescription(value);
+            if (!value) return html`<em style="color: #999;">Not present</em>`;
+            const text = d.kind === 'review' ? `"${value.text.substring(0, 80)}"` : `${value.title} (${value.date})`;
+            return html`${text}${formatModified(value.updatedAt)}`;
+        };
+
+        panel.innerHTML = html`
+            <p style="padding: 1rem; border-top: 1px solid #eee;">
+                ${differences.length} difference(s) between this browser and ${source}. Choose which side to keep, then export to publish the result.
+            </p>
+            ${differences.map((d, i) => html`
+                <div data-merge-key="${d.key}" style="padding: 0.5rem 1rem; border-top: 1px solid #eee; font-size: 0.9rem; display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 1rem;">
+                    <div><strong>${KIND_LABELS[d.kind]}</strong><br>${d.label}</div>
+                    <label><input type="radio" name="merge-${i}" value="local" ${preferPublished(d) ? '' : 'checked'} style="width: auto;"> This browser<br>${describe(d, 'local')}</label>
+                    <label><input type="radio" name="merge-${i}" value="published" ${preferPublished(d) ? 'checked' : ''} style="width: auto;"> ${source}<br>${describe(d, 'published')}</label>
+                </div>
+            `)}
+            <div style="padding: 1rem; border-top: 1px solid #eee;">
+                <button type="button" id="import-apply-btn" style="background: #4CAF50; ${ADMIN_BUTTON_STYLE}">Apply Selected</button>
+            </div>
+        `;
+
+        document.getElementById('import-apply-btn').addEventListener('click', () => {
+            const keys = Array.from(panel.querySelectorAll('[data-merge-key]'))
+                .filter(row => row.querySelector('input[value="published"]').checked)
+                .map(row => row.dataset.mergeKey);
+
+            const merged = Store.mergeUpdates(published, keys);
+            alert(merged
+                ? `Merged ${merged} item(s) from ${source}. Export to publish the merged state.`
+                : 'Nothing to merge; this browser keeps its own version of every item.');
+            if (merged) location.reload();
+        });
     }
 
     function initEthosphere() {
@@ -1295,16 +4576,16 @@ ${bContent.replace(/`/g, '\\`')}
         const projects = Store.getProjects().filter(p => p.isEthosphere && !p.isHidden);
 
         if (projects.length === 0) {
-            grid.innerHTML = '<p>No Ethosphere projects currently released.</p>';
+            grid.innerHTML = html`<p>${t('ethosphere.empty')}</p>`;
             return;
         }
 
-        grid.innerHTML = projects.map(p => `
+        grid.innerHTML = projects.map(p => html`
             <div class="project-card fade-in" data-id="${p.id}">
-                <img src="${p.image}" alt="${p.title}" class="project-image" loading="lazy">
+                ${imageHtml(p.image, { alt: p.title, className: 'project-image', style: focusStyle(coverEntry(p)), sizes: '(max-width: 768px) 100vw, 33vw' })}
                 <div class="project-info">
                     <h3>${p.title}</h3>
-                    <p class="text-small text-uppercase">Premium Collection</p>
+                    <p class="text-small text-uppercase">${t('ethosphere.premium')}</p>
                 </div>
             </div>
         `).join('');
@@ -1314,6 +4595,35 @@ ${bContent.replace(/`/g, '\\`')}
 
     // Initialize Data
     Store.init();
+    applyLanguage();
+
+    // --- Helper: Load a Script File ---
+    // Resolves even when the file is missing so one broken script can't block the page
+    function loadScript(src) {
+        return new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                console.error(`Failed to load ${src}`);
+                resolve();
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    // --- Helper: Download Generated File ---
+    function downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
 
     // --- Helper: Make Element Draggable ---
     function makeDraggable(element) {
@@ -1323,6 +4633,7 @@ ${bContent.replace(/`/g, '\\`')}
         if (window.matchMedia('(pointer: coarse)').matches || window.innerWidth <= 768) return;
 
         let isDown = false;
+        let dragged = false;
         let startX;
         let scrollLeft;
 
@@ -1330,6 +4641,7 @@ ${bContent.replace(/`/g, '\\`')}
 
         element.addEventListener('mousedown', (e) => {
             isDown = true;
+            dragged = false;
             element.classList.add('dragging');
             startX = e.pageX - element.offsetLeft;
             scrollLeft = element.scrollLeft;
@@ -1357,7 +4669,15 @@ ${bContent.replace(/`/g, '\\`')}
             const x = e.pageX - element.offsetLeft;
             const walk = (x - startX) * 2;
             element.scrollLeft = scrollLeft - walk;
+            if (Math.abs(walk) > 10) dragged = true;
         });
+
+        // A drag ends with a click on whatever is under the mouse; don't let it open the lightbox
+        element.addEventListener('click', (e) => {
+            if (!dragged) return;
+            dragged = false;
+            e.stopPropagation();
+        }, true);
     }
 
     // Public API
@@ -1366,6 +4686,7 @@ ${bContent.replace(/`/g, '\\`')}
         renderFooter,
         initHero,
         initProjects,
+        initProjectPage,
         initBlog,
         initAdmin,
         initEthosphere,
@@ -1375,40 +4696,63 @@ ${bContent.replace(/`/g, '\\`')}
         renderAdminReviews, // Expose for Store internal call via App ref if needed, or if external
         loadProject: Store.loadProject.bind(Store), // Expose for external scripts
         loadArticle: Store.loadArticle.bind(Store), // Expose article loader!
-        deleteProject: Store.deleteProject.bind(Store), // Expose for onclick
-        deleteBlog: Store.deleteBlog.bind(Store),
-        deleteReview: Store.deleteReview.bind(Store), // Expose for onclick
+        loadBundle: Store.loadBundle.bind(Store), // Called by js/content-bundle.js
+        ready: Store.ready.bind(Store), // Pages wait on this before rendering
+        getProjects: Store.getProjects.bind(Store), // Read by tools/prerender.js and tools/build-feeds.js
+        getBlogPosts: Store.getBlogPosts.bind(Store),
+        getReviews: Store.getReviews.bind(Store),
+        site: SITE,
+        jsonLd: { project: projectJsonLd, blogPosting: blogPostingJsonLd, reviews: reviewsJsonLd }, // Checked by test/structured-data.test.js
+        html, // The templating layer, for page scripts and test/templating.test.js
+        rawHtml,
+        renderMarkdown,
+        checkProjectFile, // Run by tools/server.js on every project file it is asked to save
+        deleteProject: (id) => {
+            Publisher.detect().then(live => {
+                const where = live ? ' It is also removed from projects/index.json on the server (the project file is kept).' : '';
+                if (!confirm(`Delete project "${id}"?${where} Undo or the change history can bring it back.`)) return;
+                Store.deleteProject(id);
+                saveToServer(() => Publisher.deleteProject(id));
+            });
+        },
+        deleteBlog: (id) => {
+            const project = Store.deleteBlog(id);
+            if (project) saveToServer(() => Publisher.saveProject(project));
+        },
+        deleteReview: (id) => {
+            Store.deleteReview(id);
+            saveToServer(() => Publisher.deleteReview(id));
+        },
         addReview: Store.addReview.bind(Store), // Expose if needed? mostly internal but good for debug
-        deleteCustomArticle: Store.deleteCustomArticle.bind(Store), // NEW: Expose delete logic
-        renderAdminArticles: () => {
-            const list = document.getElementById('article-list-admin');
-            if (!list) return;
-            // We can check Store.getCustomArticles() or Store.getBlogPosts() filter by custom?
-            // Let's use getCustomArticles() for the "Manage Your Drafts" section
-            const articles = Store.getCustomArticles();
-
-            if (articles.length === 0) {
-                list.innerHTML = '<p style="color: #999; font-style: italic;">No custom articles drafted.</p>';
-                return;
-            }
-
-            list.innerHTML = articles.map(a => `
-                <div style="padding: 1rem; border-bottom: 1px solid #eee; display: flex; justify-content: space-between; align-items: start;">
-                    <div>
-                        <strong>${a.title}</strong> <span class="text-small">(${a.date})</span>
-                        <div class="text-small" style="color: var(--secondary-text);">${a.excerpt.substring(0, 60)}...</div>
-                    </div>
-                    <button onclick="App.deleteCustomArticle('${a.id}')" style="background: red; color: white; border: none; cursor: pointer; padding: 0.5rem; font-size: 0.8rem;">Delete</button>
-                </div>
-             `).join('');
+        deleteCustomArticle: (id) => {
+            Store.deleteCustomArticle(id);
+            saveToServer(() => Publisher.deleteArticle(id));
+        },
+        renderAdminArticles,
+        editReview: (id) => {
+            editingReviewId = id;
+            renderAdminReviews();
+        },
+        editArticle: (id) => {
+            editingArticleId = id;
+            renderAdminArticles();
+        },
+        undoChanges: (count) => {
+            const result = Store.undo(Math.max(1, parseInt(count, 10) || 1));
+            if (result) publishSnapshotChanges(result.before, result.after).then(() => location.reload());
+        },
+        restoreHistory: (id) => {
+            if (!confirm('Restore projects, reviews, articles, visibility and the featured insight to how they were before this change?')) return;
+            const result = Store.restoreHistory(id);
+            if (result) publishSnapshotChanges(result.before, result.after).then(() => location.reload());
         },
         toggleVisibility: (id) => {
             Store.toggleVisibility(id);
-            location.reload();
+            saveToServer(() => Publisher.saveVisibility()).then(() => location.reload());
         },
         toggleBlogVisibility: (id) => {
             Store.toggleBlogVisibility(id);
-            location.reload();
+            saveToServer(() => Publisher.saveVisibility()).then(() => location.reload());
         },
         initFAQ: () => {
             const items = document.querySelectorAll('.faq-item');
@@ -1426,69 +4770,46 @@ ${bContent.replace(/`/g, '\\`')}
 
         setHiddenProjects: Store.setHiddenProjects.bind(Store),
         setHiddenBlogs: Store.setHiddenBlogs.bind(Store),
-        exportUpdates: () => {
+        exportUpdates: async () => {
             // 1. Gather Custom Reviews (exclude defaults if possible, but here we just check ID format)
-            const reviews = Store.getReviews().filter(r => typeof r.id === 'string' && r.id.startsWith('rev_'));
-
-            // 2. Gather Hidden IDs
-            const hiddenP = hiddenProjectIds; // Access via closure
-            const hiddenB = hiddenBlogIds;
-
-            let content = `/* 
-    UPDATES.JS - Dynamic Configuration
-    Generated by Admin Panel
-    Save this file to "js/updates.js" to publish changes.
-*/
-
-// 1. Hidden Content Configuration
-App.setHiddenProjects(${JSON.stringify(hiddenP)});
-App.setHiddenBlogs(${JSON.stringify(hiddenB)});
-
-// 2. Custom Reviews
-`;
-
-            reviews.forEach(r => {
-                content += `
-App.addReview({
-    client: "${r.client}",
-    role: "${r.role}",
-    // Use exact text match for multiline strings
-    text: \`${r.text.replace(/`/g, '\\`')}\` // Escape backticks
-
-});
-`;
+            const reviews = Store.getReviews()
+                .filter(isPublishableReview)
+                .map(({ id, client, role, text, rating, updatedAt }) => ({ id, client, role, text, rating, updatedAt }));
+
+            // 2. Publish straight to disk when the local server is running
+            const saved = await saveToServer(async () => {
+                await Publisher.saveVisibility();
+                for (const review of reviews) await Publisher.saveReview(review);
+                for (const article of customArticles) await Publisher.saveArticle(article);
+                await Publisher.saveFeaturedInsight();
             });
+            if (saved) {
+                alert('Published! js/updates.json has been saved.');
+                return;
+            }
 
-            // 3. Custom Articles
-            const articles = customArticles;
-            articles.forEach(a => {
-                // Format content for updates.js
-                // We need to safely stringify the content
-                content += `
-App.loadArticle({
-    id: '${a.id}',
-    projectId: ${a.projectId ? `'${a.projectId}'` : 'null'},
-    title: '${a.title.replace(/'/g, "\\'")}',
-    date: '${a.date}',
-    image: '${a.image}',
-    excerpt: '${a.excerpt.replace(/'/g, "\\'")}',
-    content: \`${a.content.replace(/`/g, '\\`')}\`
-});
-`;
-            });
+            // 3. Otherwise download. The new file replaces the published one, so warn about
+            // anything published from another browser that this one doesn't have yet
+            const published = await Store.fetchPublishedUpdates().catch(() => null);
+            const missing = published ? Store.diffWithPublished(published).filter(d => d.published && !d.local && (d.kind === 'review' || d.kind === 'article')) : [];
+            if (missing.length && !confirm(`${missing.length} published review(s)/article(s) are not in this browser and would be removed: ${missing.map(d => d.label).join(', ')}.\n\nExport anyway? (Cancel and use "Import Published State" to merge them first.)`)) {
+                return;
+            }
+
+            // Hidden IDs and Custom Articles (via closure)
+            const updates = {
+                hiddenProjects: hiddenProjectIds,
+                hiddenBlogs: hiddenBlogIds,
+                reviews,
+                articles: customArticles,
+                featuredInsight
+            };
 
-            // Trigger Download
-            const blob = new Blob([content], { type: 'text/javascript' });
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            a.download = 'updates.js';
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-        },
-        logout: () => { Store.logout(); location.reload(); }
+            // JSON.stringify handles all quoting, so no title or text can break the file
+            downloadFile('updates.json', JSON.stringify(updates, null, 4) + '\n', 'application/json');
+        },
+        registerAuthProvider: Auth.registerProvider.bind(Auth),
+        logout: () => { Store.logout().then(() => location.reload()); }
     };
 
 })();
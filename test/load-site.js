@@ -0,0 +1,36 @@
+/**
+ * Test helper: runs js/main.js in jsdom the way a page opened from disk does once
+ * js/content-bundle.js has loaded, on the repo's content files with `files` ({ path: text })
+ * replacing or adding some. Resolves with the page's App and window; call close() when done.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const { bundleFiles } = require('../tools/build-content-bundle');
+
+const ROOT = path.join(__dirname, '..');
+const MAIN = fs.readFileSync(path.join(ROOT, 'js/main.js'), 'utf8');
+
+async function loadSite(files = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html lang="en"><head></head><body></body></html>', {
+        url: 'http://localhost/index.html',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    window.scrollTo = () => {};
+    window.matchMedia = () => ({ matches: false, addListener() {}, removeListener() {}, addEventListener() {}, removeEventListener() {} });
+
+    // As a <script> like on the pages: App is a top-level const there, not a window property
+    const script = window.document.createElement('script');
+    script.textContent = MAIN;
+    window.document.head.appendChild(script);
+    const App = window.eval('App');
+    App.loadBundle({ ...bundleFiles(), ...files });
+    await App.ready();
+    return { App, window, close: () => window.close() };
+}
+
+module.exports = { loadSite };
@@ -0,0 +1,178 @@
+// The JSON-LD js/main.js builds for projects, blog posts and reviews, run through the same
+// schema.org shape checks tools/prerender.js applies to every page it writes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { checkJsonLd } = require('../tools/structured-data');
+const { loadSite } = require('./load-site');
+
+const ROOT = path.join(__dirname, '..');
+
+// A JSON-LD value as the page writes it into a <script> block
+const problemsOf = data => checkJsonLd(JSON.stringify(data));
+// A plain Node copy of a value built in the page, so deepEqual doesn't trip over the page's prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// A project with only the required fields, plus a story; tests add what they need
+const MINIMAL_PROJECT = `---
+id: testhouse
+title: Test House
+category: Residential
+image: images/ira/ira_01.jpg
+description: A house for the tests.
+blog:
+  title: "Test House: A Story"
+  date: 2026-01-10
+  excerpt: Written for the tests.
+  tags:
+    - homes
+    - passive-cooling
+---
+
+The story of the test house.
+`;
+
+const withProject = (markdown) => {
+    const ids = JSON.parse(fs.readFileSync(path.join(ROOT, 'projects/index.json'), 'utf8'));
+    return { 'projects/index.json': JSON.stringify([...ids, 'testhouse']), 'projects/testhouse.md': markdown };
+};
+
+test('every project in the repo has valid CreativeWork JSON-LD', async (t) => {
+    const { App, close } = await loadSite();
+    t.after(close);
+    const projects = App.getProjects();
+    assert.ok(projects.length > 0);
+    projects.forEach(project => {
+        assert.deepEqual(problemsOf(App.jsonLd.project(project)), [], project.id);
+    });
+});
+
+test('a project with only the required fields still has valid JSON-LD', async (t) => {
+    const { App, close } = await loadSite(withProject(MINIMAL_PROJECT));
+    t.after(close);
+    const project = App.getProjects().find(p => p.id === 'testhouse');
+    const data = App.jsonLd.project(project);
+    assert.deepEqual(problemsOf(data), []);
+    assert.equal(data.url, 'https://nexhaus.com/project/testhouse.html');
+    assert.equal(data.contentLocation, undefined);
+});
+
+test('a project with a place, year and collaborators describes them', async (t) => {
+    const markdown = MINIMAL_PROJECT.replace('blog:', 'city: Kannur\nstate: Kerala\nyear: 2024\ncollaborators:\n  - "Structural: R. Menon"\nblog:');
+    const { App, close } = await loadSite(withProject(markdown));
+    t.after(close);
+    const data = App.jsonLd.project(App.getProjects().find(p => p.id === 'testhouse'));
+    assert.deepEqual(problemsOf(data), []);
+    assert.equal(data.contentLocation.name, 'Kannur, Kerala');
+    assert.equal(data.dateCreated, '2024');
+    assert.deepEqual(plain(data.contributor), [{ '@type': 'Organization', name: 'Structural: R. Menon' }]);
+});
+
+test('every blog post in the repo has valid BlogPosting JSON-LD', async (t) => {
+    const { App, close } = await loadSite();
+    t.after(close);
+    const posts = App.getBlogPosts();
+    assert.ok(posts.length > 0);
+    posts.forEach(post => {
+        const id = post.type === 'project' ? post.projectId : post.id;
+        assert.deepEqual(problemsOf(App.jsonLd.blogPosting(post, id)), [], id);
+    });
+});
+
+test('a project story links its project and lists its tags', async (t) => {
+    const { App, close } = await loadSite(withProject(MINIMAL_PROJECT));
+    t.after(close);
+    const post = App.getBlogPosts().find(p => p.projectId === 'testhouse');
+    const data = App.jsonLd.blogPosting(post, 'testhouse');
+    assert.deepEqual(problemsOf(data), []);
+    assert.equal(data.datePublished, '2026-01-10');
+    assert.equal(data.keywords, 'homes, passive-cooling');
+    assert.deepEqual(plain(data.about), { '@id': 'https://nexhaus.com/project/testhouse.html' });
+});
+
+test('an article without an image falls back to the site image', async (t) => {
+    const updates = {
+        hiddenProjects: [],
+        hiddenBlogs: [],
+        reviews: [],
+        articles: [{ id: 'notes', title: 'Site Notes', date: '2026-02-01', excerpt: 'Notes.', content: 'Some notes.' }]
+    };
+    const { App, close } = await loadSite({ 'js/updates.json': JSON.stringify(updates) });
+    t.after(close);
+    const post = App.getBlogPosts().find(p => p.id === 'notes');
+    const data = App.jsonLd.blogPosting(post, 'notes');
+    assert.deepEqual(problemsOf(data), []);
+    assert.equal(data.image, new URL(App.site.image, App.site.url).href);
+    assert.equal(data.about, undefined);
+});
+
+test('a story without a date leaves datePublished out', async (t) => {
+    const { App, close } = await loadSite(withProject(MINIMAL_PROJECT.replace('  date: 2026-01-10\n', '')));
+    t.after(close);
+    const post = App.getBlogPosts().find(p => p.projectId === 'testhouse');
+    const data = App.jsonLd.blogPosting(post, 'testhouse');
+    assert.deepEqual(problemsOf(data), []);
+    assert.equal(data.datePublished, undefined);
+});
+
+test('the reviews in the repo have valid Review JSON-LD', async (t) => {
+    const { App, close } = await loadSite();
+    t.after(close);
+    const reviews = App.getReviews();
+    assert.ok(reviews.length > 0);
+    assert.deepEqual(problemsOf(App.jsonLd.reviews(reviews)), []);
+});
+
+test('star ratings add a valid Rating to each review and an AggregateRating', async (t) => {
+    const { App, close } = await loadSite();
+    t.after(close);
+    const data = App.jsonLd.reviews([
+        { id: 'rev_a', client: 'A. Client', role: 'Home owner', text: 'Great.', rating: 5 },
+        { id: 'rev_b', client: 'B. Client', text: 'Good.', rating: 4 },
+        { id: 'rev_c', client: 'C. Client', text: 'No stars given.' }
+    ]);
+    assert.deepEqual(problemsOf(data), []);
+    const aggregate = data['@graph'].find(node => node['@type'] === 'AggregateRating');
+    assert.equal(aggregate.ratingValue, 4.5);
+    assert.equal(aggregate.reviewCount, 2);
+    assert.equal(data['@graph'][2].reviewRating, undefined);
+});
+
+test('no reviews give no JSON-LD block', async (t) => {
+    const { App, close } = await loadSite();
+    t.after(close);
+    assert.equal(App.jsonLd.reviews([]), false);
+});
+
+test('the static block in index.html is valid', () => {
+    const markup = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const blocks = [...markup.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)];
+    assert.ok(blocks.length > 0);
+    blocks.forEach(([, text]) => assert.deepEqual(checkJsonLd(text), []));
+});
+
+test('the checker reports what search engines would reject', () => {
+    const posting = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: 'x'.repeat(111),
+        url: 'blog/relative.html',
+        image: 'https://nexhaus.com/a.jpg',
+        author: { '@type': 'Organization', name: 'NexHaus' },
+        datePublished: '10/01/2026'
+    };
+    const problems = checkJsonLd(JSON.stringify(posting));
+    assert.ok(problems.some(p => /needs "publisher"/.test(p)));
+    assert.ok(problems.some(p => /"url" must be an absolute URL/.test(p)));
+    assert.ok(problems.some(p => /"datePublished" must be an ISO date/.test(p)));
+    assert.ok(problems.some(p => /longer than 110/.test(p)));
+
+    const rating = { '@context': 'https://schema.org', '@type': 'Rating', ratingValue: 6 };
+    assert.deepEqual(checkJsonLd(JSON.stringify(rating)), ['$: Rating "ratingValue" must be a number from 1 to 5']);
+    const broken = checkJsonLd('{');
+    assert.equal(broken.length, 1);
+    assert.match(broken[0], /^not valid JSON/);
+});
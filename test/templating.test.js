@@ -0,0 +1,78 @@
+// The html`` tag, rawHtml() and the Markdown renderer in js/main.js: what gets escaped, what
+// passes through, and what a content file can't inject into a page
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadSite } = require('./load-site');
+
+let App, close;
+test.before(async () => ({ App, close } = await loadSite()));
+test.after(() => close());
+
+const render = (strings, ...values) => String(App.html(strings, ...values));
+const markdown = text => String(App.renderMarkdown(text));
+
+test('text is escaped', () => {
+    assert.equal(render`<p>${'<script>alert(1)</script> & more'}</p>`, '<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp; more</p>');
+});
+
+test('attribute values are escaped, quotes included', () => {
+    assert.equal(render`<a title="${'" onmouseover="alert(1)'}">x</a>`, '<a title="&quot; onmouseover=&quot;alert(1)">x</a>');
+    assert.equal(render`<a title='${"' onclick='x"}'>x</a>`, "<a title='&#39; onclick=&#39;x'>x</a>");
+});
+
+test('nested templates are inserted as markup, not escaped twice', () => {
+    const inner = App.html`<em>${'a & b'}</em>`;
+    assert.equal(render`<p>${inner}</p>`, '<p><em>a &amp; b</em></p>');
+});
+
+test('arrays are joined, with each item escaped or inserted as markup', () => {
+    const items = ['<b>', App.html`<li>${'x'}</li>`, ['nested', '&']];
+    assert.equal(render`<ul>${items}</ul>`, '<ul>&lt;b&gt;<li>x</li>nested&amp;</ul>');
+    assert.equal(render`<ul>${[]}</ul>`, '<ul></ul>');
+});
+
+test('null, undefined and false render nothing, but 0 renders', () => {
+    assert.equal(render`[${null}${undefined}${false}]`, '[]');
+    assert.equal(render`[${0}]`, '[0]');
+    assert.equal(render`[${true && 'shown'}]`, '[shown]');
+});
+
+test('rawHtml passes markup through unchanged', () => {
+    assert.equal(render`<div>${App.rawHtml('<b>bold</b>')}</div>`, '<div><b>bold</b></div>');
+    assert.equal(String(App.rawHtml(5)), '5');
+});
+
+test('Markdown renders the supported subset', () => {
+    assert.equal(markdown('# Title\n\nSome **bold** and *em* text.'), '<h2>Title</h2><p>Some <strong>bold</strong> and <em>em</em> text.</p>');
+    assert.equal(markdown('- one\n- two'), '<ul><li>one</li><li>two</li></ul>');
+    assert.equal(markdown('[site](https://example.com)'), '<p><a href="https://example.com" target="_blank" rel="noopener">site</a></p>');
+    assert.equal(markdown('[faq](faq.html)'), '<p><a href="faq.html">faq</a></p>');
+});
+
+test('Markdown escapes raw HTML', () => {
+    assert.equal(markdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(markdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    assert.equal(markdown('```\n<script>x</script>\n```'), '<pre><code>&lt;script&gt;x&lt;/script&gt;</code></pre>');
+    assert.equal(markdown('`<b>`'), '<p><code>&lt;b&gt;</code></p>');
+});
+
+test('Markdown drops links and images to javascript: and data: URLs', () => {
+    assert.equal(markdown('[click](javascript:alert(1))'), '<p>click)</p>');
+    assert.equal(markdown('[click](JavaScript:alert`1`)'), '<p>click</p>');
+    assert.equal(markdown('![pic](data:image/svg+xml,<svg>)'), '<p>pic</p>');
+    assert.doesNotMatch(markdown('x [a](javascript:void`0`) ![b](vbscript:x)'), /href|src/);
+});
+
+test('Markdown link and image text and URLs cannot break out of their attributes', () => {
+    assert.equal(markdown('[a](https://x.com/"onmouseover="alert`1`)'), '<p><a href="https://x.com/&quot;onmouseover=&quot;alert`1`" target="_blank" rel="noopener">a</a></p>');
+    assert.equal(
+        markdown('![x" onerror="alert(1)](images/a.jpg "<b>caption</b>")'),
+        '<figure><img src="images/a.jpg" alt="x&quot; onerror=&quot;alert(1)" tabindex="0" loading="lazy"><figcaption>&lt;b&gt;caption&lt;/b&gt;</figcaption></figure>'
+    );
+});
+
+test('rendered Markdown is inserted into templates as markup', () => {
+    assert.equal(render`<div>${App.renderMarkdown('**hi** <i>')}</div>`, '<div><p><strong>hi</strong> &lt;i&gt;</p></div>');
+});
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Build Asset Manifest
+ * Lists the images in every folder under images/, so the site knows which project images
+ * exist without any of that living in js/main.js. A project with no gallery shows the images
+ * from its cover image's folder, and image paths that don't exist are reported in the admin
+ * "Content Health" panel. Run this after adding or removing images:
+ *
+ *   node tools/build-asset-manifest.js
+ *
+ * tools/build-content-bundle.js runs it as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const IMAGES_DIR = 'images';
+const OUTPUT = 'images/manifest.json';
+const IMAGE_FILE = /\.(jpe?g|png|webp|avif|gif|svg)$/i;
+const SKIP_DIRS = ['images/generated']; // Resized copies from tools/build-images.js
+
+// { "images/ira": ["images/ira/ira_01.jpg", ...] }, folders and files in name order.
+// root: the site folder to list (the repo, or a copy of it such as the pre-render output)
+function buildAssetManifest(root = ROOT) {
+    const manifest = {};
+    const walk = (dir) => {
+        const entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+        const files = entries.filter(e => e.isFile() && IMAGE_FILE.test(e.name)).map(e => `${dir}/${e.name}`);
+        if (files.length) manifest[dir] = files;
+        entries.filter(e => e.isDirectory() && !SKIP_DIRS.includes(`${dir}/${e.name}`)).forEach(e => walk(`${dir}/${e.name}`));
+    };
+    walk(IMAGES_DIR);
+    return JSON.stringify(manifest, null, 4) + '\n';
+}
+
+function writeAssetManifest(root = ROOT) {
+    fs.writeFileSync(path.join(root, OUTPUT), buildAssetManifest(root));
+    return OUTPUT;
+}
+
+if (require.main === module) {
+    console.log(`Wrote ${writeAssetManifest()}`);
+}
+
+module.exports = { buildAssetManifest, writeAssetManifest };
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Build Content Bundle
+ * Browsers block fetch() for pages opened straight from disk (file://), so the
+ * site falls back to js/content-bundle.js, which carries a copy of every content file.
+ * Run this after editing anything under projects/, images/, js/updates.json or js/auth.json:
+ *
+ *   node tools/build-content-bundle.js
+ *
+ * It rebuilds images/manifest.json first (see build-asset-manifest.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { writeAssetManifest } = require('./build-asset-manifest');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'js/content-bundle.js';
+
+// { path: fileText } for every content file the site loads. root: the site folder to read (the
+// repo, or a copy of it such as the pre-render output)
+function bundleFiles(root = ROOT) {
+    const files = {};
+    const add = (file) => { files[file] = fs.readFileSync(path.join(root, file), 'utf8'); };
+    const addIfPresent = (file) => { if (fs.existsSync(path.join(root, file))) add(file); };
+
+    add('js/updates.json');
+    add('js/auth.json');
+    add('images/manifest.json');
+    addIfPresent('images/responsive.json'); // Only there once tools/build-images.js has run
+    add('projects/index.json');
+    JSON.parse(files['projects/index.json']).forEach(id => add(`projects/${id}.md`));
+    return files;
+}
+
+function buildBundle(root = ROOT) {
+    const files = bundleFiles(root);
+    return `/*
+    CONTENT-BUNDLE.JS - Generated by tools/build-content-bundle.js
+    Do not edit by hand: edit the files under projects/ and js/, then rebuild.
+*/
+
+App.loadBundle(${JSON.stringify(files, null, 4)});
+`;
+}
+
+if (require.main === module) {
+    console.log(`Wrote ${writeAssetManifest()}`);
+    fs.writeFileSync(path.join(ROOT, OUTPUT), buildBundle());
+    console.log(`Wrote ${OUTPUT}`);
+}
+
+module.exports = { buildBundle, bundleFiles };
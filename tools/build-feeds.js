@@ -0,0 +1,89 @@
+/**
+ * Build Feeds
+ * sitemap.xml and an Atom feed (feed.xml) for the pre-rendered site. tools/prerender.js
+ * calls these with the site settings and the projects and posts the Store loaded, hidden
+ * ones already left out, so both only list pages it has written.
+ */
+
+const PAGE_PRIORITY = { 'index.html': '1.0', 'projects.html': '0.9', 'blog.html': '0.8' };
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.avif': 'image/avif' };
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Project stories are addressed by project id, articles by their own id (same as blog.html)
+function postId(post) {
+    return post.type === 'project' ? post.projectId : post.id;
+}
+
+// YYYY-MM-DD dates only; project stories without a date say "Recently Added"
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+}
+
+// pages: site-root HTML files, projects/posts: visible items from App.getProjects() / getBlogPosts()
+function buildSitemap(site, { pages, projects, posts }) {
+    const url = (path, lastmod, priority) => [
+        '    <url>',
+        `        <loc>${escapeXml(new URL(path, site.url).href)}</loc>`,
+        lastmod && `        <lastmod>${lastmod}</lastmod>`,
+        priority && `        <priority>${priority}</priority>`,
+        '    </url>'
+    ].filter(Boolean).join('\n');
+
+    const storyDates = Object.fromEntries(posts.filter(p => p.type === 'project').map(p => [p.projectId, p.date]));
+    const entries = [
+        ...pages.map(page => url(page === 'index.html' ? '' : page, null, PAGE_PRIORITY[page] || '0.5')),
+        ...projects.map(p => url(`project/${p.id}.html`, isDate(storyDates[p.id]) && storyDates[p.id], '0.7')),
+        ...posts.map(p => url(`blog/${postId(p)}.html`, isDate(p.date) && p.date, '0.6'))
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+// Newest first, like the blog page. `now` stands in for posts without a date and for the feed itself
+function buildFeed(site, posts, now = new Date()) {
+    const timestamp = date => isDate(date) ? `${date}T00:00:00Z` : now.toISOString();
+    const absolute = path => escapeXml(new URL(path, site.url).href);
+
+    const entries = posts.map(post => {
+        const link = absolute(`blog/${postId(post)}.html`);
+        const extension = (post.image || '').toLowerCase().match(/\.[a-z]+$/);
+        return [
+            '    <entry>',
+            `        <title>${escapeXml(post.title)}</title>`,
+            `        <link href="${link}"/>`,
+            `        <id>${link}</id>`,
+            `        <updated>${timestamp(post.date)}</updated>`,
+            post.excerpt && `        <summary>${escapeXml(post.excerpt)}</summary>`,
+            ...(post.tags || []).map(tag => `        <category term="${escapeXml(tag)}"/>`),
+            extension && IMAGE_TYPES[extension[0]] && `        <link rel="enclosure" type="${IMAGE_TYPES[extension[0]]}" href="${absolute(post.image)}"/>`,
+            '    </entry>'
+        ].filter(Boolean).join('\n');
+    });
+    const dated = posts.map(p => p.date).filter(isDate).sort();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escapeXml(site.name)}</title>
+    <subtitle>Project stories and articles</subtitle>
+    <link href="${absolute('feed.xml')}" rel="self"/>
+    <link href="${absolute('blog.html')}"/>
+    <id>${absolute('feed.xml')}</id>
+    <updated>${dated.length ? timestamp(dated[dated.length - 1]) : now.toISOString()}</updated>
+    <author><name>${escapeXml(site.name)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+module.exports = { buildSitemap, buildFeed, postId };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Build Responsive Images
+ * For every image that project and article data refer to, writes resized copies in AVIF and
+ * WebP under images/generated/ plus a tiny blurred placeholder, and records them in
+ * images/responsive.json. The site reads that file to emit srcset/<picture> markup and to
+ * show the placeholder while an image lazy-loads; without it, the originals are used as before.
+ *
+ *   npm ci
+ *   node tools/build-images.js [--force]    (same as npm run build:images)
+ *
+ * Outputs newer than their source image are kept unless --force is given.
+ * Run tools/build-content-bundle.js afterwards so file:// pages pick up the new manifest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'images/responsive.json';
+const GENERATED_DIR = 'images/generated';
+const WIDTHS = [480, 960, 1600, 2400];
+const FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 }
+};
+const PLACEHOLDER_WIDTH = 16;
+
+// Content files that can mention images, and what a local image path looks like in them
+const CONTENT_FILES = ['js/updates.json'];
+const IMAGE_PATH = /images\/[\w\-./]+?\.(?:jpe?g|png|webp)\b/gi;
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// images/ira/ira_01.jpg -> images/generated/ira/ira_01-960.webp (the site builds the same path)
+function generatedPath(src, width, format) {
+    return src.replace(/^images\//, `${GENERATED_DIR}/`).replace(/\.[^./]+$/, `-${width}.${format}`);
+}
+
+function referencedImages() {
+    const files = [...CONTENT_FILES];
+    JSON.parse(read('projects/index.json')).forEach(id => files.push(`projects/${id}.md`));
+
+    const images = new Set();
+    files.forEach(file => {
+        (read(file).match(IMAGE_PATH) || []).forEach(src => {
+            if (src.startsWith(`${GENERATED_DIR}/`)) return;
+            if (fs.existsSync(path.join(ROOT, src))) images.add(src);
+            else console.warn(`${file}: ${src} does not exist, skipped`);
+        });
+    });
+    return [...images].sort();
+}
+
+function isFresh(output, source) {
+    const target = path.join(ROOT, output);
+    return fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(path.join(ROOT, source)).mtimeMs;
+}
+
+async function buildImage(sharp, src, force) {
+    const input = path.join(ROOT, src);
+    const meta = await sharp(input).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const [width, height] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+    const widths = [...new Set([...WIDTHS.filter(w => w < width), Math.min(width, WIDTHS[WIDTHS.length - 1])])];
+
+    let written = 0;
+    for (const w of widths) {
+        for (const [format, options] of Object.entries(FORMATS)) {
+            const output = generatedPath(src, w, format);
+            if (!force && isFresh(output, src)) continue;
+            fs.mkdirSync(path.dirname(path.join(ROOT, output)), { recursive: true });
+            await sharp(input).rotate().resize({ width: w }).toFormat(format, options).toFile(path.join(ROOT, output));
+            written++;
+        }
+    }
+
+    const placeholder = await sharp(input).rotate().resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 40 }).toBuffer();
+    return {
+        entry: { width, height, widths, placeholder: `data:image/webp;base64,${placeholder.toString('base64')}` },
+        written
+    };
+}
+
+async function main() {
+    let sharp;
+    try {
+        sharp = require('sharp');
+    } catch (e) {
+        console.error('This script needs the "sharp" package: run npm ci first');
+        process.exit(1);
+    }
+
+    const force = process.argv.includes('--force');
+    const manifest = {};
+    let written = 0;
+
+    // One image at a time; sharp already uses every core for a single image
+    for (const src of referencedImages()) {
+        try {
+            const result = await buildImage(sharp, src, force);
+            manifest[src] = result.entry;
+            written += result.written;
+        } catch (e) {
+            console.error(`${src}: ${e.message}`);
+        }
+    }
+
+    fs.writeFileSync(path.join(ROOT, OUTPUT), JSON.stringify(manifest, null, 4) + '\n');
+    console.log(`Wrote ${written} image files for ${Object.keys(manifest).length} images, and ${OUTPUT}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generatedPath };
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Pre-render
+ * Runs each page's own scripts (js/main.js with the Store, reading the files under projects/
+ * and js/) in jsdom and saves the resulting HTML, so search engines, link previews and slow
+ * connections get the nav, project grid, blog list and reviews without waiting for JavaScript.
+ * The pages keep their scripts: in the browser main.js runs again and takes over the markup.
+ *
+ *   npm ci
+ *   node tools/prerender.js [outDir]        (default: dist, same as npm run build)
+ *
+ * outDir gets a copy of the site with every public page pre-rendered, plus one page per
+ * visible project (project/<id>.html) and blog post (blog/<id>.html), each with its own
+ * canonical link, preview tags and JSON-LD, and sitemap.xml and feed.xml (see build-feeds.js).
+ * It stops with a list of problems if any page's JSON-LD doesn't match structured-data.js.
+ * Drafts and posts scheduled for later are taken out of the copied content files as well, so
+ * they can't be read from js/updates.json or projects/*.md before they go live.
+ * admin.html and project.html are copied unchanged, so ?id= links keep working.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const { writeAssetManifest } = require('./build-asset-manifest');
+const { buildBundle } = require('./build-content-bundle');
+const { buildSitemap, buildFeed, postId } = require('./build-feeds');
+const { checkJsonLd } = require('./structured-data');
+
+const ROOT = path.join(__dirname, '..');
+const COPIED = ['css', 'js', 'images', 'projects', 'admin.html', 'project.html', 'robots.txt'];
+const PAGES = ['index.html', 'projects.html', 'blog.html', 'ethosphere.html', 'about.html', 'faq.html'];
+const SETTLE_MS = 100; // Lets requestAnimationFrame work (expander open, fade-ins) finish before saving
+
+const MIME = {
+    '.html': 'text/html', '.css': 'text/css', '.js': 'text/javascript', '.json': 'application/json',
+    '.md': 'text/markdown', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp', '.avif': 'image/avif', '.svg': 'image/svg+xml'
+};
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// The Store loads content with fetch(), so the pages are served over http rather than opened as
+// files. `dir` is the output copy, so the pages see the bundle and manifest built for it
+function serve(dir) {
+    const server = http.createServer((req, res) => {
+        const file = path.join(dir, decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+        if (!file.startsWith(dir)) {
+            res.statusCode = 403;
+            return res.end();
+        }
+        fs.readFile(file, (err, data) => {
+            if (err) {
+                res.statusCode = 404;
+                return res.end();
+            }
+            res.setHeader('Content-Type', MIME[path.extname(file).toLowerCase()] || 'application/octet-stream');
+            res.end(data);
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function createRenderer(jsdom, origin) {
+    const { JSDOM, VirtualConsole, requestInterceptor } = jsdom;
+
+    // Only our own files; fonts, analytics and remote images are left to the browser, so any
+    // other request gets an empty answer instead of going out to the network
+    const resources = {
+        interceptors: [requestInterceptor(request => request.url.startsWith(origin) ? undefined : new Response(''))]
+    };
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => console.error('  [page]', ...args));
+    virtualConsole.on('warn', (...args) => console.warn('  [page]', ...args));
+    virtualConsole.on('jsdomError', e => {
+        // jsdom has no layout or media engine; those gaps are expected and harmless here
+        if (e.type !== 'not-implemented') console.error('  [page]', e.message);
+    });
+
+    // Browser APIs main.js touches that jsdom leaves out
+    const beforeParse = (window) => {
+        window.fetch = (url, options) => fetch(new URL(url, window.document.baseURI).href, options);
+        window.scrollTo = () => {};
+        window.Element.prototype.scrollIntoView = () => {};
+        window.matchMedia = () => ({ matches: false, addListener() {}, removeListener() {}, addEventListener() {}, removeEventListener() {} });
+    };
+
+    // Renders `source` as if it lived at `target` (relative to the site root). Returns the HTML,
+    // problems with its JSON-LD, and whatever `inspect` reads from the rendered window
+    return async function render(source, target, prepare = markup => markup, inspect = () => null) {
+        const markup = prepare(read(source)).replace(/<html\b/, '<html data-static-routes');
+        const dom = new JSDOM(markup, {
+            url: `${origin}/${target}`,
+            runScripts: 'dangerously',
+            resources,
+            virtualConsole,
+            pretendToBeVisual: true,
+            beforeParse
+        });
+        const { window } = dom;
+        try {
+            await new Promise(resolve => window.addEventListener('load', resolve));
+            // App is a top-level const, not a window property. The page's own App.ready().then(...)
+            // was queued first, so it has rendered once this resolves
+            await window.eval('App.ready()');
+            await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+            const structuredData = [...window.document.querySelectorAll('script[type="application/ld+json"]')]
+                .flatMap(script => checkJsonLd(script.textContent).map(problem => `${target}: ${problem}`));
+            return { markup: dom.serialize(), data: inspect(window), problems: structuredData };
+        } finally {
+            window.close(); // Stops the hero slideshow timer and friends
+        }
+    };
+}
+
+function copy(name, outDir) {
+    const from = path.join(ROOT, name);
+    if (!fs.existsSync(from)) return;
+    fs.cpSync(from, path.join(outDir, name), { recursive: true });
+}
+
+function write(outDir, file, markup) {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, markup);
+}
+
+// Per-item pages sit one folder down; <base> keeps the page's relative links pointing at the site root
+function withBase(markup) {
+    return markup.replace(/<head>/, '<head>\n    <base href="../">');
+}
+
+// A project file with its story taken out: the "blog" block (also the one under each translation)
+// and the Markdown body, which is the story's text
+function withoutStory(markdown) {
+    const match = markdown.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---/);
+    if (!match) return markdown;
+    const kept = [];
+    let skipIndent = -1;
+    match[1].split('\n').forEach(line => {
+        const indent = line.search(/\S/);
+        if (skipIndent > -1 && (indent === -1 || indent > skipIndent)) return;
+        skipIndent = /^\s*blog:\s*$/.test(line) ? indent : -1;
+        if (skipIndent === -1) kept.push(line);
+    });
+    return `---\n${kept.join('\n')}\n---\n`;
+}
+
+// Takes what isn't public yet out of the copied content. `posts` are the ones getBlogPosts()
+// gave a visitor, so anything else in the files is a draft or scheduled for later
+function withholdUnpublished(outDir, posts) {
+    const storyIds = posts.filter(p => p.type === 'project').map(p => p.projectId);
+    const articleIds = posts.filter(p => p.type === 'article').map(p => p.id);
+
+    const ids = JSON.parse(fs.readFileSync(path.join(outDir, 'projects/index.json'), 'utf8'));
+    ids.filter(id => !storyIds.includes(id)).forEach(id => {
+        const file = path.join(outDir, 'projects', `${id}.md`);
+        if (fs.existsSync(file)) fs.writeFileSync(file, withoutStory(fs.readFileSync(file, 'utf8')));
+    });
+
+    const updatesFile = path.join(outDir, 'js/updates.json');
+    const updates = JSON.parse(fs.readFileSync(updatesFile, 'utf8'));
+    updates.articles = (updates.articles || []).filter(a => articleIds.includes(a.id));
+    fs.writeFileSync(updatesFile, JSON.stringify(updates, null, 4) + '\n');
+}
+
+async function prerender(outDir) {
+    let jsdom;
+    try {
+        jsdom = require('jsdom');
+    } catch (e) {
+        console.error('This script needs the "jsdom" package: run npm ci first');
+        process.exit(1);
+    }
+
+    if (path.relative(outDir, ROOT) === '' || !path.relative(outDir, ROOT).startsWith('..')) {
+        console.error(`Refusing to write into ${outDir}: it contains the site itself`);
+        process.exit(1);
+    }
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    COPIED.forEach(name => copy(name, outDir));
+
+    writeAssetManifest(outDir); // Built in the copy, so a build leaves the checkout untouched
+
+    const server = await serve(outDir);
+    const render = createRenderer(jsdom, `http://127.0.0.1:${server.address().port}`);
+    const problems = [];
+    let count = 0;
+    const save = (file, { markup, problems: pageProblems }) => {
+        write(outDir, file, markup);
+        problems.push(...pageProblems);
+        count++;
+    };
+
+    try {
+        // What the Store loaded, read back out of the first page (a JSON copy, so it's plain Node data)
+        let content = null;
+        const readContent = window => JSON.parse(window.eval('JSON.stringify({ site: App.site, projects: App.getProjects(), posts: App.getBlogPosts() })'));
+
+        for (const page of PAGES) {
+            const result = await render(page, page, undefined, content ? undefined : readContent);
+            content = content || result.data;
+            save(page, result);
+        }
+
+        // Drafts and posts scheduled for later aren't in `content` to begin with: getBlogPosts() only
+        // shows those to a logged-in admin. The pages below are rendered from what is left, and the
+        // bundle gives file:// visitors of the copied site the same content
+        withholdUnpublished(outDir, content.posts);
+        fs.writeFileSync(path.join(outDir, 'js/content-bundle.js'), buildBundle(outDir));
+
+        // Hidden items get no page and stay out of the sitemap and feed
+        const projects = content.projects.filter(p => !p.isHidden);
+        const posts = content.posts.filter(p => !p.isHidden);
+
+        for (const { id } of projects) {
+            save(`project/${id}.html`, await render('project.html', `project/${id}.html`, source =>
+                withBase(source).replace('id="project-page"', `id="project-page" data-project-id="${id}"`)));
+        }
+
+        for (const id of posts.map(postId)) {
+            save(`blog/${id}.html`, await render('blog.html', `blog/${id}.html`, source =>
+                withBase(source).replace('id="blog-list"', `id="blog-list" data-open-id="${id}"`)));
+        }
+
+        write(outDir, 'sitemap.xml', buildSitemap(content.site, { pages: PAGES, projects, posts }));
+        write(outDir, 'feed.xml', buildFeed(content.site, posts));
+    } finally {
+        server.close();
+    }
+
+    if (problems.length) {
+        console.error(`Structured data problems:\n${problems.map(p => `  ${p}`).join('\n')}`);
+        process.exit(1);
+    }
+    console.log(`Pre-rendered ${count} pages into ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+if (require.main === module) {
+    prerender(path.resolve(process.argv[2] || path.join(ROOT, 'dist'))).catch(e => {
+        console.error(e);
+        process.exit(1);
+    });
+}
+
+module.exports = { prerender };
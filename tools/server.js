@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * Local Publishing Server
+ * Serves the site and lets the admin panel save changes straight to disk,
+ * instead of downloading files that then have to be copied into the repo.
+ *
+ *   node tools/server.js [port]     (default 8080, then open http://localhost:8080/admin.html)
+ *
+ * It listens on 127.0.0.1 only, so other machines on the network can't reach it, and answers only
+ * requests addressed to localhost or 127.0.0.1 on its own port, so a web page can't reach it
+ * through a DNS name it points at 127.0.0.1 (DNS rebinding) either.
+ *
+ * The admin panel detects this server through GET /api/status. Logging in goes through
+ * /api/auth (checked against js/auth.json), and every write needs the session token.
+ *
+ * Write endpoints (JSON bodies):
+ *   PUT    /api/projects/:id   { content }            projects/<id>.md, added to projects/index.json
+ *   DELETE /api/projects/:id                          removed from projects/index.json (file is kept)
+ *   PUT    /api/articles/:id   { article }            js/updates.json "articles"
+ *   DELETE /api/articles/:id
+ *   PUT    /api/reviews/:id    { review }             js/updates.json "reviews"
+ *   DELETE /api/reviews/:id
+ *   PUT    /api/visibility     { hiddenProjects, hiddenBlogs }
+ *   PUT    /api/featured       { featuredInsight }    js/updates.json "featuredInsight" (home page)
+ *
+ * A project file is only saved if the site would load it: it is parsed and checked by js/main.js
+ * itself, run in jsdom (npm ci installs it), and its id has to match the URL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { hashPassword } = require('./set-admin-password');
+const { buildBundle } = require('./build-content-bundle');
+const { writeAssetManifest } = require('./build-asset-manifest');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const MAX_BODY = 5 * 1024 * 1024;
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+const FEATURED_MODES = ['pinned', 'latest', 'random']; // Same as FEATURED_MODES in js/main.js
+
+const PATHS = {
+    AUTH_CONFIG: 'js/auth.json',
+    UPDATES: 'js/updates.json',
+    PROJECT_MANIFEST: 'projects/index.json',
+    BUNDLE: 'js/content-bundle.js'
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// --- FILES ---
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+// Write to a temp file first so a crash never leaves a half-written content file
+function writeFile(file, content) {
+    const target = path.join(ROOT, file);
+    fs.writeFileSync(target + '.tmp', content);
+    fs.renameSync(target + '.tmp', target);
+}
+
+function writeJson(file, data) {
+    writeFile(file, JSON.stringify(data, null, 4) + '\n');
+}
+
+// Keep images/manifest.json and js/content-bundle.js (used when the site is opened via file://)
+// in step with every write
+function afterWrite() {
+    writeAssetManifest();
+    writeFile(PATHS.BUNDLE, buildBundle());
+}
+
+function updateUpdatesFile(change) {
+    const updates = readJson(PATHS.UPDATES);
+    change(updates);
+    writeJson(PATHS.UPDATES, updates);
+}
+
+// --- AUTH ---
+const sessions = new Map(); // token -> expiresAt
+const failures = new Map(); // ip -> { count, lockedUntil }
+
+function authConfig() {
+    return { sessionMinutes: 60, maxAttempts: 5, lockoutMinutes: 15, ...readJson(PATHS.AUTH_CONFIG) };
+}
+
+function login(req, body) {
+    const config = authConfig();
+    const ip = req.socket.remoteAddress;
+    const record = failures.get(ip) || { count: 0, lockedUntil: 0 };
+    if (record.lockedUntil > Date.now()) {
+        throw new HttpError(429, `Too many failed attempts. Try again in ${Math.ceil((record.lockedUntil - Date.now()) / 60000)} minute(s).`);
+    }
+
+    if (!config.passwordHash || !config.salt) {
+        throw new HttpError(503, 'No admin password is set. Run: node tools/set-admin-password.js "<password>"');
+    }
+    const password = typeof body.password === 'string' ? body.password : '';
+    const hash = hashPassword(password, config.salt || '', config.iterations || 1);
+    const expected = Buffer.from(config.passwordHash || '', 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        record.count = record.lockedUntil ? 1 : record.count + 1;
+        record.lockedUntil = record.count >= config.maxAttempts ? Date.now() + config.lockoutMinutes * 60000 : 0;
+        failures.set(ip, record);
+        throw new HttpError(401, 'Invalid Password');
+    }
+
+    failures.delete(ip);
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + config.sessionMinutes * 60000;
+    sessions.set(token, expiresAt);
+    return { token, expiresAt };
+}
+
+function sessionToken(req) {
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+function requireSession(req) {
+    const token = sessionToken(req);
+    const expiresAt = token && sessions.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+        if (token) sessions.delete(token);
+        throw new HttpError(401, 'Your session is not valid on the server. Log out and log in again.');
+    }
+}
+
+// --- VALIDATION ---
+function requireId(id) {
+    if (!ID_PATTERN.test(id)) throw new HttpError(400, `"${id}" is not a valid id`);
+}
+
+function requireStrings(object, fields, label) {
+    if (!object || typeof object !== 'object') throw new HttpError(400, `Missing ${label}`);
+    fields.forEach(field => {
+        if (typeof object[field] !== 'string' || !object[field].trim()) {
+            throw new HttpError(400, `${label} "${field}" is required`);
+        }
+    });
+}
+
+// js/main.js in a blank jsdom page, for its content checks. Loaded on the first project save, then kept
+let siteApp = null;
+
+function loadSiteApp() {
+    if (siteApp) return siteApp;
+    let jsdom;
+    try {
+        jsdom = require('jsdom');
+    } catch (e) {
+        throw new HttpError(503, 'Checking project files needs the "jsdom" package: run npm ci first');
+    }
+
+    const { window } = new jsdom.JSDOM('<!DOCTYPE html><html lang="en"><head></head><body></body></html>', {
+        url: 'http://localhost/index.html',
+        runScripts: 'dangerously',
+        virtualConsole: new jsdom.VirtualConsole()
+    });
+    // As a <script> like on the pages: App is a top-level const there, not a window property
+    const script = window.document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(ROOT, 'js/main.js'), 'utf8');
+    window.document.head.appendChild(script);
+    siteApp = window.eval('App');
+    return siteApp;
+}
+
+function requireProjectFile(content, id) {
+    if (typeof content !== 'string' || !/^---\r?\n/.test(content)) {
+        throw new HttpError(400, 'Project "content" must be a front matter Markdown file');
+    }
+    const { project, errors } = loadSiteApp().checkProjectFile(content);
+    if (errors.length) throw new HttpError(400, `The project file would not load: ${errors.join('; ')}`);
+    if (project.id !== id) throw new HttpError(400, 'Project id does not match the URL');
+}
+
+function requireIdList(list, label) {
+    if (!Array.isArray(list) || !list.every(id => typeof id === 'string')) {
+        throw new HttpError(400, `"${label}" must be a list of ids`);
+    }
+}
+
+// --- API ---
+const routes = [
+    ['GET', /^\/api\/status$/, () => ({ nexhaus: true, writable: true })],
+
+    ['POST', /^\/api\/auth\/login$/, (req, body) => login(req, body)],
+    ['POST', /^\/api\/auth\/logout$/, (req) => {
+        sessions.delete(sessionToken(req));
+        return { ok: true };
+    }],
+
+    ['PUT', /^\/api\/projects\/([^/]+)$/, (req, body, id) => {
+        requireSession(req);
+        requireId(id);
+        requireProjectFile(body.content, id);
+        writeFile(`projects/${id}.md`, body.content);
+
+        const manifest = readJson(PATHS.PROJECT_MANIFEST);
+        if (!manifest.includes(id)) {
+            manifest.push(id);
+            writeJson(PATHS.PROJECT_MANIFEST, manifest);
+        }
+        afterWrite();
+        return { ok: true, file: `projects/${id}.md` };
+    }],
+    ['DELETE', /^\/api\/projects\/([^/]+)$/, (req, body, id) => {
+        requireSession(req);
+        requireId(id);
+        writeJson(PATHS.PROJECT_MANIFEST, readJson(PATHS.PROJECT_MANIFEST).filter(p => p !== id));
+        afterWrite();
+        return { ok: true };
+    }],
+
+    ['PUT', /^\/api\/articles\/([^/]+)$/, (req, body, id) => {
+        requireSession(req);
+        requireId(id);
+        const article = body.article;
+        requireStrings(article, ['title', 'date', 'content'], 'Article');
+        if (article.id !== id) throw new HttpError(400, 'Article id does not match the URL');
+
+        updateUpdatesFile(updates => {
+            const articles = updates.articles || [];
+            const index = articles.findIndex(a => a.id === id);
+            if (index > -1) articles[index] = article;
+            else articles.push(article);
+            updates.articles = articles;
+        });
+        afterWrite();
+        return { ok: true };
+    }],
+    ['DELETE', /^\/api\/articles\/([^/]+)$/, (req, body, id) => {
+        requireSession(req);
+        requireId(id);
+        updateUpdatesFile(updates => {
+            updates.articles = (updates.articles || []).filter(a => a.id !== id);
+        });
+        afterWrite();
+        return { ok: true };
+    }],
+
+    ['PUT', /^\/api\/reviews\/([^/]+)$/, (req, body, id) => {
+        requireSession(req);
+        requireId(id);
+        const review = body.review;
+        requireStrings(review, ['client', 'text'], 'Review');
+        if (String(review.id) !== id) throw new HttpError(400, 'Review id does not match the URL');
+        if (review.rating !== undefined && ![1, 2, 3, 4, 5].includes(review.rating)) {
+            throw new HttpError(400, 'Review rating must be a whole number from 1 to 5');
+        }
+
+        updateUpdatesFile(updates => {
+            const reviews = updates.reviews || [];
+            const index = reviews.findIndex(r => String(r.id) === id);
+            if (index > -1) reviews[index] = review;
+            else reviews.push(review);
+            updates.reviews = reviews;
+        });
+        afterWrite();
+        return { ok: true };
+    }],
+    ['DELETE', /^\/api\/reviews\/([^/]+)$/, (req, body, id) => {
+        requireSession(req);
+        requireId(id);
+        updateUpdatesFile(updates => {
+            updates.reviews = (updates.reviews || []).filter(r => String(r.id) !== id);
+        });
+        afterWrite();
+        return { ok: true };
+    }],
+
+    ['PUT', /^\/api\/visibility$/, (req, body) => {
+        requireSession(req);
+        requireIdList(body.hiddenProjects, 'hiddenProjects');
+        requireIdList(body.hiddenBlogs, 'hiddenBlogs');
+        updateUpdatesFile(updates => {
+            updates.hiddenProjects = body.hiddenProjects;
+            updates.hiddenBlogs = body.hiddenBlogs;
+        });
+        afterWrite();
+        return { ok: true };
+    }],
+
+    ['PUT', /^\/api\/featured$/, (req, body) => {
+        requireSession(req);
+        const setting = body.featuredInsight;
+        if (!setting || !FEATURED_MODES.includes(setting.mode)) {
+            throw new HttpError(400, `featuredInsight mode must be one of ${FEATURED_MODES.join(', ')}`);
+        }
+        if (setting.mode === 'pinned' && !(typeof setting.postId === 'string' && ID_PATTERN.test(setting.postId))) {
+            throw new HttpError(400, 'A pinned featured insight needs the id of the post it pins');
+        }
+        updateUpdatesFile(updates => {
+            updates.featuredInsight = setting.mode === 'pinned' ? { mode: 'pinned', postId: setting.postId } : { mode: setting.mode };
+        });
+        afterWrite();
+        return { ok: true };
+    }]
+];
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HttpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+async function handleApi(req, res, pathname) {
+    const methodMatches = routes.filter(([, pattern]) => pattern.test(pathname));
+    const route = methodMatches.find(([method]) => method === req.method);
+    if (!route) {
+        return sendJson(res, methodMatches.length ? 405 : 404, { error: 'Unknown API endpoint' });
+    }
+
+    try {
+        let params;
+        try {
+            params = route[1].exec(pathname).slice(1).map(decodeURIComponent);
+        } catch (e) {
+            throw new HttpError(400, 'Malformed URL');
+        }
+        const body = await readBody(req);
+        sendJson(res, 200, route[2](req, body, ...params));
+    } catch (e) {
+        if (!(e instanceof HttpError)) console.error(e);
+        sendJson(res, e.status || 500, { error: e.message });
+    }
+}
+
+// --- STATIC FILES ---
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        return res.end();
+    }
+
+    let file;
+    try {
+        file = path.join(ROOT, path.normalize(decodeURIComponent(pathname)));
+    } catch (e) {
+        res.writeHead(400, { 'Content-Type': MIME_TYPES['.txt'] });
+        return res.end('Bad Request'); // Malformed %-escapes, such as /%E0
+    }
+    if ((file !== ROOT && !file.startsWith(ROOT + path.sep)) || file.split(path.sep).includes('.git')) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': MIME_TYPES['.txt'] });
+            return res.end('Not Found');
+        }
+
+        // Point the admin login at this server, so sessions are checked on every write
+        if (path.relative(ROOT, file) === path.normalize(PATHS.AUTH_CONFIG)) {
+            data = JSON.stringify({ ...JSON.parse(data), endpoint: 'api/auth' }, null, 4);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+// Host (and Origin, when the browser sends one) must name this server the way the owner opens it
+function isLocalRequest(req) {
+    const port = req.socket.localPort;
+    const hosts = [`localhost:${port}`, `127.0.0.1:${port}`];
+    if (!hosts.includes(String(req.headers.host).toLowerCase())) return false;
+    const origin = req.headers.origin;
+    return !origin || hosts.some(host => origin.toLowerCase() === `http://${host}`);
+}
+
+function createServer() {
+    return http.createServer((req, res) => {
+        if (!isLocalRequest(req)) {
+            res.writeHead(403, { 'Content-Type': MIME_TYPES['.txt'] });
+            return res.end('Forbidden: open this server as http://localhost:<port>/');
+        }
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname.startsWith('/api/')) handleApi(req, res, pathname);
+        else serveStatic(req, res, pathname);
+    });
+}
+
+if (require.main === module) {
+    // Only this machine: the write endpoints are for the site owner's own browser
+    createServer().listen(PORT, '127.0.0.1', () => {
+        console.log(`NexHaus running at http://localhost:${PORT}/ (admin: http://localhost:${PORT}/admin.html)`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Set Admin Password
+ * Writes a new salted PBKDF2 hash of the admin password to js/auth.json.
+ * Other settings in that file (session length, lockout, endpoint) are kept.
+ * The repo ships without one, so the admin panel can't be used until this has run:
+ *
+ *   node tools/set-admin-password.js "<new password>"
+ *
+ * On a static host the "hash" provider only checks the password in the browser. Its logged-in
+ * state is a token in localStorage that anyone can set by hand, so it keeps casual visitors out
+ * of the admin panel and nothing more: it can't publish. Changes reach the site only through
+ * tools/server.js, which checks its own sessions on every write (the "endpoint" provider), or
+ * through an exported updates.json that someone with access to the repo commits.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'js', 'auth.json');
+const ITERATIONS = 100000;
+
+// Must match hashPassword() in js/main.js
+function hashPassword(password, salt, iterations) {
+    return crypto.pbkdf2Sync(password, salt, iterations, 32, 'sha256').toString('hex');
+}
+
+function readConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (e) {
+        return {};
+    }
+}
+
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password || password.length < 8) {
+        console.error('Usage: node tools/set-admin-password.js "<new password>" (at least 8 characters)');
+        process.exit(1);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const config = {
+        provider: 'hash',
+        sessionMinutes: 60,
+        maxAttempts: 5,
+        lockoutMinutes: 15,
+        endpoint: null,
+        ...readConfig(),
+        salt,
+        iterations: ITERATIONS,
+        passwordHash: hashPassword(password, salt, ITERATIONS)
+    };
+
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 4) + '\n');
+    console.log('Updated js/auth.json. Run tools/build-content-bundle.js to refresh the file:// bundle.');
+}
+
+module.exports = { hashPassword };
@@ -0,0 +1,97 @@
+/**
+ * Structured Data Checks
+ * The schema.org shapes the site's JSON-LD has to follow: the static block in index.html and
+ * the blocks js/main.js generates for projects, blog posts and reviews. tools/prerender.js runs
+ * every block on every page it writes through checkJsonLd and stops if anything is wrong, so
+ * a broken block never reaches search engines.
+ */
+
+// Per @type: properties that must be present, ones that must be absolute URLs, and ISO dates
+const SHAPES = {
+    ArchitectureFirm: { required: ['name', 'url'], urls: ['url', 'image'] },
+    Organization: { required: ['name'] },
+    Person: { required: ['name'] },
+    CreativeWork: { required: ['name', 'url', 'image'], urls: ['url', 'image'] },
+    Place: { required: ['name'] },
+    PostalAddress: { anyOf: ['streetAddress', 'addressLocality', 'addressRegion', 'addressCountry'] },
+    BlogPosting: { required: ['headline', 'url', 'image', 'author', 'publisher'], urls: ['url', 'mainEntityOfPage', 'image'], dates: ['datePublished', 'dateModified'] },
+    Review: { required: ['author', 'reviewBody', 'itemReviewed'] },
+    Rating: { required: ['ratingValue'] },
+    AggregateRating: { required: ['ratingValue', 'reviewCount', 'itemReviewed'] }
+};
+const HEADLINE_MAX = 110; // Longer headlines are dropped from article rich results
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const isAbsoluteUrl = value => /^https?:\/\/[^\s/]+/.test(value);
+
+// Checks one node and everything nested in it; `at` is a readable path for the messages
+function checkNode(node, at, problems) {
+    if (Array.isArray(node)) {
+        node.forEach((item, i) => checkNode(item, `${at}[${i}]`, problems));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const type = node['@type'];
+    const keys = Object.keys(node);
+    // A bare { "@id": ... } points at a node described elsewhere
+    if (type === undefined && !(keys.length === 1 && keys[0] === '@id') && !node['@graph']) {
+        problems.push(`${at}: has no @type`);
+    }
+    const shape = type && SHAPES[type];
+    if (type && !shape) problems.push(`${at}: @type "${type}" is not one this site describes`);
+
+    if (shape) {
+        (shape.required || []).forEach(key => {
+            const value = node[key];
+            if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                problems.push(`${at}: ${type} needs "${key}"`);
+            }
+        });
+        if (shape.anyOf && !shape.anyOf.some(key => node[key])) {
+            problems.push(`${at}: ${type} needs one of ${shape.anyOf.join(', ')}`);
+        }
+        (shape.urls || []).forEach(key => {
+            [].concat(node[key] ?? []).forEach(url => {
+                if (!isAbsoluteUrl(url)) problems.push(`${at}: ${type} "${key}" must be an absolute URL, not "${url}"`);
+            });
+        });
+        (shape.dates || []).forEach(key => {
+            if (node[key] !== undefined && !ISO_DATE.test(node[key])) problems.push(`${at}: ${type} "${key}" must be an ISO date, not "${node[key]}"`);
+        });
+    }
+
+    if (type === 'BlogPosting' && String(node.headline || '').length > HEADLINE_MAX) {
+        problems.push(`${at}: BlogPosting "headline" is longer than ${HEADLINE_MAX} characters`);
+    }
+    if (type === 'Rating' || type === 'AggregateRating') {
+        const [worst, best] = [node.worstRating ?? 1, node.bestRating ?? 5];
+        if (typeof node.ratingValue !== 'number' || node.ratingValue < worst || node.ratingValue > best) {
+            problems.push(`${at}: ${type} "ratingValue" must be a number from ${worst} to ${best}`);
+        }
+    }
+    if (type === 'AggregateRating' && !(Number.isInteger(node.reviewCount) && node.reviewCount > 0)) {
+        problems.push(`${at}: AggregateRating "reviewCount" must be a positive whole number`);
+    }
+
+    keys.filter(key => !key.startsWith('@') || key === '@graph').forEach(key => checkNode(node[key], `${at}.${key}`, problems));
+}
+
+// The text of one <script type="application/ld+json"> block -> list of problems (empty when fine)
+function checkJsonLd(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return [`not valid JSON: ${e.message}`];
+    }
+    const problems = [];
+    [].concat(data).forEach((block, i) => {
+        const at = Array.isArray(data) ? `$[${i}]` : '$';
+        if (block['@context'] !== 'https://schema.org') problems.push(`${at}: "@context" must be "https://schema.org"`);
+        checkNode(block, at, problems);
+    });
+    return problems;
+}
+
+module.exports = { checkJsonLd, SHAPES };